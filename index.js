@@ -1,7 +1,15 @@
+import { readFileSync } from 'node:fs';
+import { appendFile, mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { format, parseArgs } from 'node:util';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
 import express from 'express';
 import { Firestore } from '@google-cloud/firestore';
 import { CloudTasksClient } from '@google-cloud/tasks';
 import admin from 'firebase-admin';
+import { OAuth2Client } from 'google-auth-library';
+import nodemailer from 'nodemailer';
 
 // Configuration from environment variables
 const config = {
@@ -15,17 +23,180 @@ const config = {
   serviceUrl: process.env.SERVICE_URL,
   // Intervals in seconds
   checkIntervalSec: parseInt(process.env.CHECK_INTERVAL_SEC || '30', 10),
+  // Adaptive polling: faster while a watched ride is down, slower when stable or near closing,
+  // backing off (doubling per check, up to the max) while upstream fetches fail or are rate limited
+  adaptivePolling: process.env.ADAPTIVE_POLLING !== 'false', // Enabled by default
+  fastCheckIntervalSec: parseInt(process.env.FAST_CHECK_INTERVAL_SEC || '15', 10),
+  slowCheckIntervalSec: parseInt(process.env.SLOW_CHECK_INTERVAL_SEC || '120', 10),
+  stableAfterMin: parseInt(process.env.STABLE_AFTER_MIN || '30', 10),
+  closingSoonMin: parseInt(process.env.CLOSING_SOON_MIN || '30', 10),
+  maxBackoffSec: parseInt(process.env.MAX_BACKOFF_SEC || '600', 10),
   // Bedtime config (pause polling during off-hours)
   bedtimeStart: parseInt(process.env.BEDTIME_START || '23', 10), // Hour to start bedtime (0-23, default 11pm)
   bedtimeEnd: parseInt(process.env.BEDTIME_END || '7', 10),      // Hour to end bedtime (0-23, default 7am)
   bedtimeTimezone: process.env.BEDTIME_TIMEZONE || 'America/Los_Angeles',
+  // Park hours: poll each park only while it's open (plus a buffer), from ThemeParks Wiki schedules
+  parkHoursEnabled: process.env.PARK_HOURS_ENABLED !== 'false', // Enabled by default
+  parkHoursBufferMin: parseInt(process.env.PARK_HOURS_BUFFER_MIN || '30', 10),
+  apiBaseUrl: process.env.THEMEPARKS_API_URL || 'https://api.themeparks.wiki/v1', // Point at a stand-in for tests
+  // Upstream fetching: per-request timeout, retries with exponential backoff + jitter,
+  // and a per-park circuit breaker that stops hammering a park that keeps failing
+  fetchTimeoutMs: parseInt(process.env.FETCH_TIMEOUT_MS || '10000', 10),
+  fetchRetries: parseInt(process.env.FETCH_RETRIES || '2', 10),
+  fetchBackoffMs: parseInt(process.env.FETCH_BACKOFF_MS || '500', 10),
+  fetchMaxRetryAfterSec: parseInt(process.env.FETCH_MAX_RETRY_AFTER_SEC || '30', 10),
+  circuitFailureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '3', 10),
+  circuitResetSec: parseInt(process.env.CIRCUIT_RESET_SEC || '300', 10),
+  // Upstream health: a park is degraded when its data is this stale or fetches have failed this long (0 disables)
+  staleDataMin: parseInt(process.env.STALE_DATA_MIN || '30', 10),
+  upstreamOutageMin: parseInt(process.env.UPSTREAM_OUTAGE_MIN || '60', 10),
+  healthFailOnDegraded: process.env.HEALTH_FAIL_ON_DEGRADED === 'true', // /health returns 503 while degraded
+  adminDeviceTokens: (process.env.ADMIN_DEVICE_TOKENS || '').split(',').filter(Boolean), // Receive operator alerts
+  // Authentication: admin routes need an API key or an admin Google identity, Cloud Tasks
+  // calls carry an OIDC token for TASKS_SERVICE_ACCOUNT, device routes need the device's secret
+  authEnabled: process.env.AUTH_ENABLED !== 'false', // Enabled by default
+  adminApiKeys: (process.env.ADMIN_API_KEYS || '').split(',').filter(Boolean),
+  metricsApiKeys: (process.env.METRICS_API_KEYS || '').split(',').filter(Boolean), // Only allowed on /metrics
+  adminEmails: (process.env.ADMIN_EMAILS || '').split(',').filter(Boolean),
+  tasksServiceAccount: process.env.TASKS_SERVICE_ACCOUNT || null,
+  oidcAudience: process.env.OIDC_AUDIENCE || process.env.SERVICE_URL || null,
+  auditLogFile: process.env.AUDIT_LOG_FILE || null, // Also append audit entries to this JSONL file
+  // Live stream (GET /stream): heartbeat and snapshot intervals, client limit, and how far back
+  // a reconnecting client's Last-Event-ID can be replayed from history
+  streamHeartbeatSec: parseInt(process.env.STREAM_HEARTBEAT_SEC || '15', 10),
+  streamSnapshotSec: parseInt(process.env.STREAM_SNAPSHOT_SEC || '60', 10),
+  streamMaxClients: parseInt(process.env.STREAM_MAX_CLIENTS || '100', 10),
+  streamResumeMaxMin: parseInt(process.env.STREAM_RESUME_MAX_MIN || '60', 10),
   // Feature flags
   dynamicScheduling: process.env.DYNAMIC_SCHEDULING === 'true',
+  localScheduling: process.env.LOCAL_SCHEDULING === 'true', // In-process loop instead of Cloud Tasks
+  localSchedulingAutostart: process.env.LOCAL_SCHEDULING_AUTOSTART !== 'false', // Start the local loop on boot
   bedtimeEnabled: process.env.BEDTIME_ENABLED !== 'false', // Enabled by default
   // Scheduled shutdown
   maxRuntimeHours: process.env.MAX_RUNTIME_HOURS ? parseFloat(process.env.MAX_RUNTIME_HOURS) : null,
+  // Wait time alerts: minutes the wait must move back past a threshold before it can alert again
+  waitHysteresisMin: parseInt(process.env.WAIT_HYSTERESIS_MIN || '10', 10),
+  // Showtime reminders: default minutes before a showtime to remind subscribed devices
+  showReminderMin: parseInt(process.env.SHOW_REMINDER_MIN || '15', 10),
+  // Boarding groups: default number of groups ahead of a device's group to alert that it's coming up
+  boardingGroupWithin: parseInt(process.env.BOARDING_GROUP_WITHIN || '10', 10),
+  // Flap suppression: a new status must be seen this many consecutive checks
+  // and persist this many seconds before it's confirmed (defaults notify immediately)
+  downConfirmChecks: parseInt(process.env.DOWN_CONFIRM_CHECKS || '1', 10),
+  downConfirmSec: parseInt(process.env.DOWN_CONFIRM_SEC || '0', 10),
+  upConfirmChecks: parseInt(process.env.UP_CONFIRM_CHECKS || '1', 10),
+  upConfirmSec: parseInt(process.env.UP_CONFIRM_SEC || '0', 10),
+  // FCM delivery: concurrent multicast requests, and optional per-park/per-ride topic publishing
+  fcmConcurrency: parseInt(process.env.FCM_CONCURRENCY || '5', 10),
+  fcmTopics: process.env.FCM_TOPICS === 'true',
+  // Notification channels (JSON array, inline or from a file)
+  notificationChannels: process.env.NOTIFICATION_CHANNELS,
+  notificationChannelsFile: process.env.NOTIFICATION_CHANNELS_FILE,
+  channelBudgetSec: parseInt(process.env.CHANNEL_BUDGET_SEC || '10', 10),
+  // Storage backend: 'firestore' (default), 'file' for self-hosting without GCP, or 'memory'
+  storageBackend: process.env.STORAGE_BACKEND || 'firestore',
+  storageFile: process.env.STORAGE_FILE || './data/ride-watch.json',
+  fileHistoryRetentionDays: parseInt(process.env.FILE_HISTORY_RETENTION_DAYS || '365', 10), // 0 keeps everything
+  // Record raw ThemeParks Wiki /live responses to this directory for later replay
+  recordDir: process.env.RECORD_DIR || null,
+  // Timezone used to group reliability stats into days and weeks
+  statsTimezone: process.env.STATS_TIMEZONE || process.env.BEDTIME_TIMEZONE || 'America/Los_Angeles',
+  // Logging: 'json' for Cloud Logging (default on Cloud Run), 'text' for local dev
+  logFormat: process.env.LOG_FORMAT || (process.env.K_SERVICE ? 'json' : 'text'),
+  logLevel: process.env.LOG_LEVEL || 'info', // debug, info, warn or error
 };
 
+// Replay mode: `node index.js replay <recording.jsonl...>` (see runReplay)
+const replayCommand = process.argv[2] === 'replay' ? process.argv.slice(3) : null;
+if (replayCommand) {
+  // Replays never touch real storage and poll whatever parks were recorded
+  config.storageBackend = 'memory';
+  config.parkHoursEnabled = false;
+  config.bedtimeEnabled = false;
+  config.recordDir = null;
+}
+
+// Current time in ms. Replay swaps this for the recorded time so durations
+// and confirmation windows behave as they did on the recorded day.
+const clock = { now: () => Date.now() };
+const nowIso = () => new Date(clock.now()).toISOString();
+
+// ============================================
+// LOGGING
+// ============================================
+
+// JSON lines for Cloud Logging (severity, trace and check correlation), or plain text for local dev
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+// FCM registration tokens look like `<instance id>:APA91b<...>`
+const FCM_TOKEN_PATTERN = /[\w-]{11,}:APA91[\w-]{20,}/g;
+
+// Context attached to every log line written while handling a request or running a check:
+// { requestId, trace, spanId, checkId, parkId }
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Stable, non-reversible label for a device token, so logs can be correlated without exposing it
+ */
+function redactToken(token) {
+  return `token:${createHash('sha256').update(String(token)).digest('hex').slice(0, 8)}`;
+}
+
+function redactValue(key, value) {
+  if (key === 'token' && typeof value === 'string') return redactToken(value);
+  if (key === 'tokens' && Array.isArray(value)) return value.map(redactToken);
+  if (typeof value === 'string') return value.replace(FCM_TOKEN_PATTERN, redactToken);
+  return value;
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Log console-style arguments, optionally followed by a plain object of structured fields:
+ *   logger.info('Check complete', { durationMs: 120 })
+ *   logger.error('Failed to load schedule:', error.message)
+ */
+function writeLog(level, args) {
+  if (LOG_LEVELS[level] < (LOG_LEVELS[config.logLevel] ?? LOG_LEVELS.info)) return;
+
+  const hasFields = args.length > 1 && isPlainObject(args[args.length - 1]);
+  const message = redactValue('message', format(...(hasFields ? args.slice(0, -1) : args)));
+  const fields = Object.fromEntries(
+    Object.entries(hasFields ? args[args.length - 1] : {}).map(([key, value]) => [key, redactValue(key, value)])
+  );
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+
+  if (config.logFormat === 'text') {
+    const suffix = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    stream.write(`${message}${suffix}\n`);
+    return;
+  }
+
+  const { trace, spanId, ...context } = logContext.getStore() || {};
+  stream.write(`${JSON.stringify({
+    severity: LOG_SEVERITIES[level],
+    message,
+    time: new Date().toISOString(),
+    ...(trace && { 'logging.googleapis.com/trace': trace, 'logging.googleapis.com/spanId': spanId }),
+    ...context,
+    ...fields,
+  })}\n`);
+}
+
+const logger = {
+  debug: (...args) => writeLog('debug', args),
+  info: (...args) => writeLog('info', args),
+  warn: (...args) => writeLog('warn', args),
+  error: (...args) => writeLog('error', args),
+};
+
+/**
+ * Run `fn` with extra fields added to the log context (e.g. checkId, parkId)
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
 // Initialize Firebase Admin (uses Application Default Credentials in Cloud Run)
 let firebaseInitialized = false;
 try {
@@ -33,649 +204,5591 @@ try {
     projectId: config.projectId,
   });
   firebaseInitialized = true;
-  console.log('Firebase Admin initialized');
+  logger.info('Firebase Admin initialized');
 } catch (error) {
-  console.warn('Firebase Admin initialization failed:', error.message);
+  logger.warn('Firebase Admin initialization failed:', error.message);
 }
 
-// Initialize Firestore
-const firestore = new Firestore();
-const statusCollection = firestore.collection('ride-status');
-const devicesCollection = firestore.collection('devices');
-
 // Initialize Cloud Tasks client
 const tasksClient = new CloudTasksClient();
 
 // ============================================
-// IN-MEMORY CACHE
+// METRICS
 // ============================================
 
-// Cache for ride statuses: { rideId: { status, rideName, updatedAt } }
-const statusCache = new Map();
-let statusCacheInitialized = false;
-
-// Cache for device tokens: { tokens: [...], loadedAt: timestamp }
-let deviceCache = { tokens: [], loadedAt: 0 };
-const DEVICE_CACHE_TTL_MS = 60000; // Refresh device list every 60 seconds
-
-/**
- * Initialize status cache from Firestore (only on cold start)
- */
-async function initializeStatusCache() {
-  if (statusCacheInitialized) return;
+// Minimal Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format by GET /metrics
+const metricsRegistry = [];
 
-  console.log('Initializing status cache from Firestore...');
-  try {
-    const snapshot = await statusCollection.get();
-    snapshot.forEach(doc => {
-      statusCache.set(doc.id, doc.data());
-    });
-    statusCacheInitialized = true;
-    console.log(`Status cache initialized with ${statusCache.size} rides`);
-  } catch (error) {
-    console.error('Failed to initialize status cache:', error.message);
-    // Continue without cache - will populate as we go
-    statusCacheInitialized = true;
-  }
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
 }
 
-/**
- * Get previous status from cache (no Firestore read)
- */
-function getPreviousStatus(rideId) {
-  return statusCache.get(rideId) || null;
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
 }
 
 /**
- * Save status to cache and Firestore (only if changed)
+ * Define a metric. `collect` is called before each scrape to refresh gauges computed from state.
  */
-async function saveStatus(rideId, status, rideName) {
-  const previous = statusCache.get(rideId);
-  const hasChanged = !previous || previous.status !== status;
-
-  // Always update cache
-  const data = {
-    status,
-    rideName,
-    updatedAt: new Date().toISOString(),
+function defineMetric(type, name, help, { buckets = null, collect = null } = {}) {
+  const series = new Map(); // label key -> { labels, value } (histograms: { labels, counts, sum, count })
+  const getSeries = (labels) => {
+    const key = JSON.stringify(labels);
+    if (!series.has(key)) {
+      series.set(key, buckets
+        ? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 });
+    }
+    return series.get(key);
   };
-  statusCache.set(rideId, data);
 
-  // Only write to Firestore if status changed
-  if (hasChanged) {
-    await statusCollection.doc(rideId).set(data);
-    return true; // Indicates a write occurred
-  }
-  return false;
+  const metric = {
+    name,
+    inc(labels = {}, value = 1) {
+      getSeries(labels).value += value;
+    },
+    set(labels, value) {
+      getSeries(labels).value = Number(value);
+    },
+    reset() {
+      series.clear();
+    },
+    observe(labels, value) {
+      const entry = getSeries(labels);
+      buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      collect?.(metric);
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+      for (const entry of series.values()) {
+        if (!buckets) {
+          lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+          continue;
+        }
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+      return lines.join('\n');
+    },
+  };
+  metricsRegistry.push(metric);
+  return metric;
 }
 
-// ============================================
-// ThemeParks Wiki API
-// ============================================
+function renderMetrics() {
+  return `${metricsRegistry.map(metric => metric.render()).join('\n')}\n`;
+}
 
-const API_BASE = 'https://api.themeparks.wiki/v1';
-const DOWN_STATUSES = new Set(['DOWN', 'REFURBISHMENT', 'CLOSED']);
+const metrics = {
+  checkDuration: defineMetric('histogram', 'ride_watch_check_duration_seconds', 'Duration of a full status check',
+    { buckets: [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60] }),
+  checks: defineMetric('counter', 'ride_watch_checks_total', 'Status checks run, by result'),
+  upstreamFetchDuration: defineMetric('histogram', 'ride_watch_upstream_fetch_duration_seconds',
+    'Latency of ThemeParks Wiki live data requests per park (each attempt)',
+    { buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30] }),
+  upstreamFetchErrors: defineMetric('counter', 'ride_watch_upstream_fetch_errors_total',
+    'Failed ThemeParks Wiki live data requests per park, by reason'),
+  ridesDown: defineMetric('gauge', 'ride_watch_rides_down', 'Monitored rides not operating, per park (as of the last check)'),
+  transitions: defineMetric('counter', 'ride_watch_status_transitions_total', 'Confirmed status transitions, by old and new status'),
+  storageReads: defineMetric('counter', 'ride_watch_storage_reads_total', 'Storage read operations, by backend and operation'),
+  storageWrites: defineMetric('counter', 'ride_watch_storage_writes_total', 'Storage write operations, by backend and operation'),
+  pushSent: defineMetric('counter', 'ride_watch_push_sent_total', 'Push notifications delivered by FCM'),
+  pushFailures: defineMetric('counter', 'ride_watch_push_failures_total', 'Push notifications FCM rejected, by error code'),
+  invalidTokens: defineMetric('counter', 'ride_watch_invalid_tokens_pruned_total', 'Device tokens marked invalid after FCM errors'),
+  schedulerShutdown: defineMetric('gauge', 'ride_watch_scheduler_shutdown', '1 once MAX_RUNTIME_HOURS has stopped scheduling'),
+};
+// Unlabelled series start at zero so they're scraped before anything happens
+metrics.pushSent.inc({}, 0);
+metrics.invalidTokens.inc({}, 0);
+metrics.schedulerShutdown.set({}, 0);
 
-async function fetchParkLiveData(parkId) {
-  const url = `${API_BASE}/entity/${parkId}/live`;
-  console.log(`Fetching live data for park: ${parkId}`);
+defineMetric('gauge', 'ride_watch_cache_entries', 'Entries in the in-memory caches', {
+  collect: metric => {
+    metric.set({ cache: 'status' }, statusCache.size);
+    metric.set({ cache: 'devices' }, deviceCache.tokens.length);
+    metric.set({ cache: 'schedules' }, scheduleCache.size);
+    metric.set({ cache: 'catalog' }, catalogCache.size);
+  },
+});
+defineMetric('gauge', 'ride_watch_bedtime_active', '1 while the bedtime window is active', {
+  collect: metric => metric.set({}, config.bedtimeEnabled && isBedtime() ? 1 : 0),
+});
+defineMetric('gauge', 'ride_watch_parks_open', 'Configured parks inside their polling window', {
+  collect: metric => metric.set({}, getPollingState().openParks.length),
+});
+defineMetric('gauge', 'ride_watch_local_scheduler_running', '1 while the in-process scheduler loop is running', {
+  collect: metric => metric.set({}, localScheduler.running ? 1 : 0),
+});
+defineMetric('gauge', 'ride_watch_check_in_progress', '1 while a status check is running', {
+  collect: metric => metric.set({}, checkInProgress ? 1 : 0),
+});
+defineMetric('gauge', 'ride_watch_park_circuit_open', '1 while a park\'s upstream circuit breaker is open', {
+  collect: metric => {
+    metric.reset();
+    for (const circuit of getParkCircuitStates()) metric.set({ park: circuit.parkId }, circuit.state === 'open' ? 1 : 0);
+  },
+});
+defineMetric('gauge', 'ride_watch_park_degraded', '1 while a park\'s upstream data is stale or failing', {
+  collect: metric => {
+    const degraded = new Set(getDegradedParks().map(park => park.parkId));
+    metric.reset();
+    for (const parkId of config.parkIds) metric.set({ park: parkId }, degraded.has(parkId) ? 1 : 0);
+  },
+});
+defineMetric('gauge', 'ride_watch_stream_clients', 'Connected /stream clients', {
+  collect: metric => metric.set({}, streamClients.size),
+});
+defineMetric('gauge', 'process_resident_memory_bytes', 'Resident memory size in bytes', {
+  collect: metric => metric.set({}, process.memoryUsage().rss),
+});
+defineMetric('gauge', 'process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds', {
+  collect: metric => metric.set({}, Math.round(Date.now() / 1000 - process.uptime())),
+});
 
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch park data: ${response.status} ${response.statusText}`);
-  }
+// Storage methods that only read; everything else counts as a write
+const STORAGE_READ_OPERATIONS = new Set([
+  'loadStatuses', 'getActiveDevices', 'getDevice', 'queryTransitions', 'fetchAllTransitions', 'getSettings',
+]);
 
-  return response.json();
+/**
+ * Wrap a storage backend so every call is counted as a read or write
+ */
+function instrumentStorage(backend) {
+  return Object.fromEntries(Object.entries(backend).map(([key, value]) => {
+    if (typeof value !== 'function') return [key, value];
+    const counter = STORAGE_READ_OPERATIONS.has(key) ? metrics.storageReads : metrics.storageWrites;
+    return [key, (...args) => {
+      counter.inc({ backend: backend.name, operation: key });
+      return value(...args);
+    }];
+  }));
 }
 
 // ============================================
-// DEVICE MANAGEMENT (with caching)
+// STORAGE
 // ============================================
 
-async function getDeviceTokens() {
-  const now = Date.now();
-
-  // Return cached tokens if still fresh
-  if (deviceCache.tokens.length > 0 && (now - deviceCache.loadedAt) < DEVICE_CACHE_TTL_MS) {
-    return deviceCache.tokens;
-  }
+/*
+ * Storage backends share one interface:
+ *   loadStatuses()                        -> [[rideId, data], ...]
+ *   saveStatus(rideId, data)
+ *   getActiveDevices()                    -> [{ token, ...data }]
+ *   getDevice(token)                      -> data | null
+ *   setDevice(token, fields)              -> create or merge top-level fields
+ *   updateDevice(token, fields)           -> merge top-level fields, false if not registered
+ *   updateDevices(tokens, fields)         -> merge top-level fields into several devices, skipping unregistered ones
+ *   addTransition(transition)
+ *   queryTransitions(field, value, opts)  -> { transitions, nextCursor } | null for a bad cursor (newest first)
+ *   fetchAllTransitions(field, value, from) -> transitions, oldest first
+ *   getSettings()                         -> runtime monitoring settings | null
+ *   saveSettings(fields)                  -> merge top-level fields into the settings
+ *   claimNotification(key, expiresAt)     -> true for the first caller to claim key, false after that
+ */
 
-  // Refresh from Firestore
-  console.log('Refreshing device tokens from Firestore...');
-  const snapshot = await devicesCollection.where('active', '==', true).get();
-  const tokens = snapshot.docs.map(doc => ({
-    token: doc.id,
-    ...doc.data(),
-  }));
+const HISTORY_DEFAULT_LIMIT = 50;
+const HISTORY_MAX_LIMIT = 200;
+const FIRESTORE_BATCH_LIMIT = 500;
 
-  deviceCache = { tokens, loadedAt: now };
-  console.log(`Device cache refreshed: ${tokens.length} active device(s)`);
+function createFirestoreStorage() {
+  const firestore = new Firestore();
+  const statusCollection = firestore.collection('ride-status');
+  const devicesCollection = firestore.collection('devices');
+  const historyCollection = firestore.collection('ride-history');
+  const settingsDoc = firestore.collection('config').doc('monitoring');
+  const claimsCollection = firestore.collection('notification-claims');
 
-  return tokens;
-}
+  return {
+    name: 'firestore',
 
-async function registerDevice(token, metadata = {}) {
-  const cleanMetadata = Object.fromEntries(
-    Object.entries(metadata).filter(([_, v]) => v !== undefined)
-  );
+    async loadStatuses() {
+      const snapshot = await statusCollection.get();
+      return snapshot.docs.map(doc => [doc.id, doc.data()]);
+    },
 
-  await devicesCollection.doc(token).set({
-    active: true,
-    registeredAt: new Date().toISOString(),
-    lastUpdated: new Date().toISOString(),
-    platform: cleanMetadata.platform || 'ios',
-    ...cleanMetadata,
-  }, { merge: true });
+    async saveStatus(rideId, data) {
+      await statusCollection.doc(rideId).set(data);
+    },
 
-  // Invalidate device cache
-  deviceCache.loadedAt = 0;
-}
+    async getActiveDevices() {
+      const snapshot = await devicesCollection.where('active', '==', true).get();
+      return snapshot.docs.map(doc => ({ token: doc.id, ...doc.data() }));
+    },
 
-async function unregisterDevice(token) {
-  await devicesCollection.doc(token).update({
-    active: false,
-    unregisteredAt: new Date().toISOString(),
-  });
+    async getDevice(token) {
+      const doc = await devicesCollection.doc(token).get();
+      return doc.exists ? doc.data() : null;
+    },
 
-  // Invalidate device cache
-  deviceCache.loadedAt = 0;
-}
+    async setDevice(token, fields) {
+      await devicesCollection.doc(token).set(fields, { merge: true });
+    },
 
-async function markTokenInvalid(token) {
-  await devicesCollection.doc(token).update({
-    active: false,
-    invalid: true,
-    invalidatedAt: new Date().toISOString(),
-  });
+    async updateDevice(token, fields) {
+      try {
+        await devicesCollection.doc(token).update(fields);
+        return true;
+      } catch (error) {
+        // Error code 5 is NOT_FOUND - device was never registered
+        if (error.code === 5) return false;
+        throw error;
+      }
+    },
 
-  // Invalidate device cache
-  deviceCache.loadedAt = 0;
-}
+    async updateDevices(tokens, fields) {
+      for (let i = 0; i < tokens.length; i += FIRESTORE_BATCH_LIMIT) {
+        // A batched update fails as a whole if any doc is missing, so skip
+        // tokens that were never registered (e.g. ADMIN_DEVICE_TOKENS)
+        const refs = tokens.slice(i, i + FIRESTORE_BATCH_LIMIT).map(token => devicesCollection.doc(token));
+        const docs = await firestore.getAll(...refs);
+        const existing = docs.filter(doc => doc.exists);
+        if (existing.length === 0) continue;
 
-// ============================================
-// PUSH NOTIFICATIONS
-// ============================================
+        const batch = firestore.batch();
+        for (const doc of existing) {
+          batch.update(doc.ref, fields);
+        }
+        await batch.commit();
+      }
+    },
 
-async function sendPushNotification(title, body, data = {}) {
-  if (!firebaseInitialized) {
-    console.warn('Firebase not initialized, skipping push notification');
-    return { sent: 0, failed: 0 };
-  }
+    async addTransition(transition) {
+      await historyCollection.add(transition);
+    },
 
-  const devices = await getDeviceTokens();
-  if (devices.length === 0) {
-    console.log('No registered devices for push notifications');
-    return { sent: 0, failed: 0 };
-  }
+    async queryTransitions(field, value, { from, to, limit = HISTORY_DEFAULT_LIMIT, cursor } = {}) {
+      let query = historyCollection.where(field, '==', value);
+      if (from) query = query.where('timestamp', '>=', from);
+      if (to) query = query.where('timestamp', '<', to);
+      query = query.orderBy('timestamp', 'desc');
 
-  console.log(`Sending push notification to ${devices.length} device(s)`);
+      // Cursor is the ID of the last transition on the previous page
+      if (cursor) {
+        const cursorDoc = await historyCollection.doc(cursor).get();
+        if (!cursorDoc.exists) return null;
+        query = query.startAfter(cursorDoc);
+      }
 
-  let sent = 0;
-  let failed = 0;
+      // Fetch one extra to know whether there's another page
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
 
-  for (const device of devices) {
-    try {
-      const message = {
-        token: device.token,
-        notification: { title, body },
-        data: {
-          ...data,
-          timestamp: new Date().toISOString(),
-        },
-        apns: {
-          payload: {
-            aps: {
-              sound: 'default',
-              badge: 1,
-            },
-          },
-        },
+      return {
+        transitions: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null,
       };
+    },
 
-      await admin.messaging().send(message);
-      sent++;
-      console.log(`Push sent to device ${device.token.slice(0, 20)}...`);
-    } catch (error) {
-      failed++;
-      console.error(`Failed to send push to ${device.token.slice(0, 20)}...:`, error.message);
-
-      if (
-        error.code === 'messaging/invalid-registration-token' ||
-        error.code === 'messaging/registration-token-not-registered'
-      ) {
-        console.log(`Marking invalid token: ${device.token.slice(0, 20)}...`);
-        await markTokenInvalid(device.token);
-      }
-    }
-  }
+    async fetchAllTransitions(field, value, from = null) {
+      let query = historyCollection.where(field, '==', value);
+      if (from) query = query.where('timestamp', '>=', from);
 
-  return { sent, failed };
-}
+      // Same shape as queryTransitions so it uses the same index
+      const snapshot = await query.orderBy('timestamp', 'desc').get();
+      return snapshot.docs.map(doc => doc.data()).reverse();
+    },
 
-// ============================================
-// BEDTIME LOGIC
-// ============================================
+    async getSettings() {
+      const doc = await settingsDoc.get();
+      return doc.exists ? doc.data() : null;
+    },
 
-/**
- * Get current hour in the configured timezone
- */
-function getCurrentHourInTimezone() {
-  const now = new Date();
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: config.bedtimeTimezone,
-    hour: 'numeric',
-    hour12: false,
-  });
-  return parseInt(formatter.format(now), 10);
+    async saveSettings(fields) {
+      await settingsDoc.set(fields, { merge: true });
+    },
+
+    async claimNotification(key, expiresAt) {
+      // create() fails if the document exists, so only one instance wins; a TTL policy
+      // on expiresAt can clean up old claims
+      const docId = createHash('sha256').update(key).digest('hex');
+      try {
+        await claimsCollection.doc(docId).create({ key, claimedAt: nowIso(), expiresAt: new Date(expiresAt) });
+        return true;
+      } catch (error) {
+        // Error code 6 is ALREADY_EXISTS - another instance claimed it first
+        if (error.code === 6) return false;
+        throw error;
+      }
+    },
+  };
 }
 
 /**
- * Check if we're currently in bedtime hours
+ * In-memory storage, used for replays and as the basis of file storage
+ * @param {object} initialState - { statuses, devices, history, settings, claims }
+ * @param {(state: object) => Promise<void>} persist - called after every change
  */
-function isBedtime() {
-  if (!config.bedtimeEnabled) return false;
+function createMemoryStorage(initialState = {}, persist = async () => {}) {
+  const state = { statuses: {}, devices: {}, history: [], settings: null, claims: {}, ...initialState };
 
-  const currentHour = getCurrentHourInTimezone();
-  const { bedtimeStart, bedtimeEnd } = config;
+  const matchTransitions = (field, value, from, to) => state.history
+    .filter(t => t[field] === value && (!from || t.timestamp >= from) && (!to || t.timestamp < to))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
 
-  // Handle overnight bedtime (e.g., 1am to 7am)
-  if (bedtimeStart < bedtimeEnd) {
-    return currentHour >= bedtimeStart && currentHour < bedtimeEnd;
-  }
-  // Handle cross-midnight bedtime (e.g., 11pm to 7am)
-  return currentHour >= bedtimeStart || currentHour < bedtimeEnd;
-}
+  return {
+    name: 'memory',
 
-/**
- * Calculate seconds until bedtime ends
- */
-function getSecondsUntilBedtimeEnds() {
-  const now = new Date();
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: config.bedtimeTimezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false,
-  });
+    async loadStatuses() {
+      return Object.entries(state.statuses);
+    },
 
-  // Parse current time in the target timezone
-  const parts = formatter.formatToParts(now);
-  const getPart = (type) => parseInt(parts.find(p => p.type === type)?.value || '0', 10);
+    async saveStatus(rideId, data) {
+      state.statuses[rideId] = data;
+      await persist(state);
+    },
 
-  const currentHour = getPart('hour');
-  const currentMinute = getPart('minute');
-  const currentSecond = getPart('second');
+    async getActiveDevices() {
+      return Object.entries(state.devices)
+        .filter(([, data]) => data.active)
+        .map(([token, data]) => ({ token, ...data }));
+    },
 
-  // Calculate seconds until bedtime end hour
-  let hoursUntilEnd;
-  if (currentHour < config.bedtimeEnd) {
-    hoursUntilEnd = config.bedtimeEnd - currentHour;
-  } else {
-    // We're past bedtime end, so it ends tomorrow
-    hoursUntilEnd = 24 - currentHour + config.bedtimeEnd;
-  }
+    async getDevice(token) {
+      return state.devices[token] || null;
+    },
 
-  // Convert to seconds, subtracting current minutes and seconds
-  const secondsUntilEnd = (hoursUntilEnd * 3600) - (currentMinute * 60) - currentSecond;
+    async setDevice(token, fields) {
+      state.devices[token] = { ...state.devices[token], ...fields };
+      await persist(state);
+    },
 
-  // Add a small buffer to ensure we're past the bedtime end
-  return Math.max(secondsUntilEnd + 60, 60);
-}
+    async updateDevice(token, fields) {
+      if (!state.devices[token]) return false;
+      state.devices[token] = { ...state.devices[token], ...fields };
+      await persist(state);
+      return true;
+    },
 
-// ============================================
-// HELPERS
-// ============================================
+    async updateDevices(tokens, fields) {
+      for (const token of tokens) {
+        if (state.devices[token]) state.devices[token] = { ...state.devices[token], ...fields };
+      }
+      await persist(state);
+    },
 
-function shouldMonitorRide(rideName) {
-  if (config.watchedRides.length === 0) return true;
-  return config.watchedRides.some(watched =>
-    rideName.toLowerCase().includes(watched.toLowerCase().trim())
-  );
+    async addTransition(transition) {
+      const record = { id: randomUUID(), ...transition };
+      state.history.push(record);
+      await persist(state, { transition: record });
+    },
+
+    async queryTransitions(field, value, { from, to, limit = HISTORY_DEFAULT_LIMIT, cursor } = {}) {
+      const matches = matchTransitions(field, value, from, to).reverse();
+
+      let start = 0;
+      if (cursor) {
+        const index = matches.findIndex(t => t.id === cursor);
+        if (index === -1) return null;
+        start = index + 1;
+      }
+
+      const transitions = matches.slice(start, start + limit);
+      return {
+        transitions,
+        nextCursor: matches.length > start + limit ? transitions[transitions.length - 1].id : null,
+      };
+    },
+
+    async fetchAllTransitions(field, value, from = null) {
+      return matchTransitions(field, value, from, null).map(({ id, ...transition }) => transition);
+    },
+
+    async getSettings() {
+      return state.settings;
+    },
+
+    async saveSettings(fields) {
+      state.settings = { ...state.settings, ...fields };
+      await persist(state);
+    },
+
+    async claimNotification(key, expiresAt) {
+      pruneExpiredClaims(state.claims);
+      if (state.claims[key]) return false;
+      state.claims[key] = expiresAt;
+      await persist(state);
+      return true;
+    },
+  };
 }
 
-function isDownStatus(status) {
-  return DOWN_STATUSES.has(status);
+function pruneExpiredClaims(claims) {
+  const now = clock.now();
+  for (const [key, expiresAt] of Object.entries(claims)) {
+    if (expiresAt <= now) delete claims[key];
+  }
 }
 
-function formatStatusMessage(rideName, oldStatus, newStatus) {
-  return `${rideName}: ${oldStatus || 'Unknown'} → ${newStatus}`;
+/**
+ * JSON file storage for self-hosting: everything is kept in memory. Statuses, devices,
+ * settings and claims are rewritten (atomically, one write at a time) on each change, while
+ * transitions are appended to a JSONL file next to it, older than FILE_HISTORY_RETENTION_DAYS
+ * dropped once a day. Files from before the split keep their history in the JSON file until
+ * the first start, which moves it over.
+ */
+function createFileStorage(filePath) {
+  const historyPath = `${filePath.replace(/\.json$/, '')}.history.jsonl`;
+  const readIfExists = (path) => {
+    try {
+      return readFileSync(path, 'utf8');
+    } catch (error) {
+      // A missing file just means a fresh install
+      if (error.code !== 'ENOENT') throw error;
+      return null;
+    }
+  };
+
+  const raw = readIfExists(filePath);
+  const { history: legacyHistory = [], ...initialState } = raw ? JSON.parse(raw) : {};
+  const history = (readIfExists(historyPath) || '').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  initialState.history = [...legacyHistory, ...history];
+  pruneExpiredClaims(initialState.claims || {});
+
+  let writeQueue = Promise.resolve();
+  const enqueue = (write) => {
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+      await mkdir(dirname(filePath), { recursive: true });
+      await write();
+    });
+    return writeQueue;
+  };
+  const replaceFile = async (path, contents) => {
+    const tmpPath = `${path}.tmp`;
+    await writeFile(tmpPath, contents);
+    await rename(tmpPath, path);
+  };
+  const writeState = ({ history: _, ...rest }) => replaceFile(filePath, JSON.stringify(rest));
+  const writeHistory = (transitions) => replaceFile(historyPath, transitions.map(t => `${JSON.stringify(t)}\n`).join(''));
+
+  let prunedAt = 0;
+  const pruneHistory = (state) => {
+    prunedAt = clock.now();
+    if (config.fileHistoryRetentionDays <= 0) return false;
+    const cutoff = new Date(prunedAt - config.fileHistoryRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const kept = state.history.filter(transition => transition.timestamp >= cutoff);
+    if (kept.length === state.history.length) return false;
+    logger.info(`Dropped ${state.history.length - kept.length} transition(s) older than ${config.fileHistoryRetentionDays} days`);
+    state.history = kept;
+    return true;
+  };
+
+  const persist = (state, { transition } = {}) => {
+    pruneExpiredClaims(state.claims);
+    if (!transition) return enqueue(() => writeState(state));
+    if (clock.now() - prunedAt > 24 * 60 * 60 * 1000 && pruneHistory(state)) {
+      const transitions = [...state.history];
+      return enqueue(() => writeHistory(transitions));
+    }
+    return enqueue(() => appendFile(historyPath, `${JSON.stringify(transition)}\n`));
+  };
+
+  const pruned = pruneHistory(initialState);
+  if (legacyHistory.length > 0 || pruned) {
+    // Move history out of the JSON file (or drop expired entries) before anything else is written
+    const { history: transitions, ...rest } = initialState;
+    enqueue(async () => {
+      await writeHistory(transitions);
+      await writeState(rest);
+    });
+  }
+
+  return { ...createMemoryStorage(initialState, persist), name: 'file' };
 }
 
-function getNotificationTitle(newStatus) {
-  if (newStatus === 'OPERATING') return 'Ride Back Up! 🎉';
-  if (newStatus === 'DOWN') return 'Ride Down ⚠️';
-  if (newStatus === 'CLOSED') return 'Ride Closed';
-  if (newStatus === 'REFURBISHMENT') return 'Ride Under Refurbishment';
-  return 'Ride Status Changed';
+function createStorage() {
+  if (config.storageBackend === 'memory') {
+    return createMemoryStorage();
+  }
+  if (config.storageBackend === 'file') {
+    logger.info(`Using file storage: ${config.storageFile}`);
+    return createFileStorage(config.storageFile);
+  }
+  if (config.storageBackend !== 'firestore') {
+    throw new Error(`Unknown STORAGE_BACKEND: ${config.storageBackend}`);
+  }
+  return createFirestoreStorage();
 }
 
+const storage = instrumentStorage(createStorage());
+
 // ============================================
-// SCHEDULING
+// RUNTIME SETTINGS
 // ============================================
 
+// Monitoring settings admins can change through /config; the env values are the defaults
+const RUNTIME_SETTING_KEYS = [
+  'parkIds', 'watchedRides', 'checkIntervalSec',
+  'bedtimeEnabled', 'bedtimeStart', 'bedtimeEnd', 'bedtimeTimezone',
+];
+const envSettings = Object.fromEntries(RUNTIME_SETTING_KEYS.map(key => [key, config[key]]));
+const SETTINGS_MIN_RELOAD_MS = 5 * 1000; // One read per check, even when a check path loads twice
+const MAX_PARKS = 20;
+const MAX_WATCHED_RIDES = 200;
+
+let settingsLoadedAt = 0;
+let settingsSource = { source: 'env', updatedAt: null, updatedBy: null };
+
 /**
- * Determine the delay for the next check, accounting for bedtime
- * Returns { delaySeconds, reason }
+ * Load the persisted settings document and apply it over the env defaults.
+ * Called at the start of each check, so every instance picks up changes without a restart.
  */
-function getNextCheckDelay(normalDelaySeconds) {
-  if (isBedtime()) {
-    const delaySeconds = getSecondsUntilBedtimeEnds();
-    const hours = Math.floor(delaySeconds / 3600);
-    const minutes = Math.floor((delaySeconds % 3600) / 60);
-    return {
-      delaySeconds,
-      reason: `bedtime (sleeping for ${hours}h ${minutes}m until ${config.bedtimeEnd}:00)`,
-      isBedtime: true,
-    };
+async function loadRuntimeSettings({ force = false } = {}) {
+  // Replays use the parks from the recordings
+  if (replayCommand) return;
+  if (!force && Date.now() - settingsLoadedAt < SETTINGS_MIN_RELOAD_MS) return;
+
+  try {
+    applyRuntimeSettings(await storage.getSettings());
+    settingsLoadedAt = Date.now();
+  } catch (error) {
+    logger.error('Failed to load runtime settings, keeping current values:', error.message);
+  }
+}
+
+function applyRuntimeSettings(stored) {
+  const next = { ...envSettings };
+  for (const key of RUNTIME_SETTING_KEYS) {
+    if (stored?.[key] !== undefined) next[key] = stored[key];
+  }
+
+  const changed = RUNTIME_SETTING_KEYS.filter(key => JSON.stringify(config[key]) !== JSON.stringify(next[key]));
+  if (changed.length > 0 && settingsLoadedAt > 0) {
+    logger.info(`Runtime settings changed: ${changed.join(', ')}`);
   }
+
+  Object.assign(config, next);
+  settingsSource = stored
+    ? { source: 'database', updatedAt: stored.updatedAt || null, updatedBy: stored.updatedBy || null }
+    : { source: 'env', updatedAt: null, updatedBy: null };
+}
+
+/**
+ * Persist validated settings and apply them to this instance right away
+ */
+async function saveRuntimeSettings(fields, actor) {
+  await storage.saveSettings({ ...fields, updatedAt: new Date().toISOString(), updatedBy: actor || null });
+  await loadRuntimeSettings({ force: true });
+}
+
+function getRuntimeSettings() {
   return {
-    delaySeconds: normalDelaySeconds,
-    reason: 'normal interval',
-    isBedtime: false,
+    parkIds: config.parkIds,
+    watchedRides: config.watchedRides,
+    checkIntervalSec: config.checkIntervalSec,
+    bedtime: {
+      enabled: config.bedtimeEnabled,
+      start: config.bedtimeStart,
+      end: config.bedtimeEnd,
+      timezone: config.bedtimeTimezone,
+    },
+    ...settingsSource,
   };
 }
 
 /**
- * Check if max runtime has been exceeded
- * @param {string|null} startedAt - ISO timestamp when monitoring started
- * @returns {{ exceeded: boolean, elapsed: number|null, max: number|null }}
+ * Validate a park list. Parks that aren't configured yet must exist upstream as a PARK entity.
+ * @returns {Promise<{ parkIds: string[] } | { status: number, error: string }>}
  */
-function checkMaxRuntime(startedAt) {
-  if (!config.maxRuntimeHours || !startedAt) {
-    return { exceeded: false, elapsed: null, max: null };
+async function validateParkIds(parkIds) {
+  if (!Array.isArray(parkIds) || !parkIds.every(id => typeof id === 'string' && /^[a-z0-9-]+$/i.test(id))) {
+    return { status: 400, error: 'parkIds must be an array of ThemeParks Wiki entity IDs' };
+  }
+  const unique = [...new Set(parkIds)];
+  if (unique.length > MAX_PARKS) {
+    return { status: 400, error: `At most ${MAX_PARKS} parks can be monitored` };
   }
 
-  const startTime = new Date(startedAt).getTime();
-  const now = Date.now();
-  const elapsedHours = (now - startTime) / (1000 * 60 * 60);
+  for (const parkId of unique.filter(id => !config.parkIds.includes(id))) {
+    try {
+      const entity = await fetchEntity(parkId);
+      if (entity.entityType !== 'PARK') {
+        return { status: 400, error: `${parkId} is not a park (entity type ${entity.entityType})` };
+      }
+    } catch (error) {
+      if (error.status === 404) {
+        return { status: 400, error: `Unknown park ID: ${parkId}` };
+      }
+      return { status: 502, error: `Could not verify park ${parkId}: ${error.message}` };
+    }
+  }
 
-  return {
-    exceeded: elapsedHours >= config.maxRuntimeHours,
-    elapsed: elapsedHours,
-    max: config.maxRuntimeHours,
-  };
+  return { parkIds: unique };
 }
 
-async function scheduleNextCheck(delaySeconds, startedAt = null) {
-  if (!config.dynamicScheduling) {
-    console.log('Dynamic scheduling disabled, skipping task creation');
-    return { scheduled: false, reason: 'dynamic scheduling disabled' };
+function validateWatchedRides(watchedRides) {
+  const isRideName = name => typeof name === 'string' && name.trim().length > 0 && name.length <= 100;
+  if (!Array.isArray(watchedRides) || !watchedRides.every(isRideName)) {
+    return { error: 'watchedRides must be an array of ride names (empty to watch all rides)' };
+  }
+  if (watchedRides.length > MAX_WATCHED_RIDES) {
+    return { error: `At most ${MAX_WATCHED_RIDES} watched rides are allowed` };
   }
+  return { watchedRides: [...new Set(watchedRides.map(name => name.trim()))] };
+}
 
-  if (!config.projectId || !config.serviceUrl) {
-    console.warn('Missing PROJECT_ID or SERVICE_URL, cannot schedule next check');
-    return { scheduled: false, reason: 'missing config' };
+/**
+ * Validate a partial schedule update: { checkIntervalSec?, bedtime?: { enabled?, start?, end?, timezone? } }
+ */
+function validateScheduleSettings(body = {}) {
+  const fields = {};
+  const isHour = value => Number.isInteger(value) && value >= 0 && value <= 23;
+
+  if (body.checkIntervalSec !== undefined) {
+    if (!Number.isInteger(body.checkIntervalSec) || body.checkIntervalSec < 10 || body.checkIntervalSec > 3600) {
+      return { error: 'checkIntervalSec must be an integer between 10 and 3600' };
+    }
+    fields.checkIntervalSec = body.checkIntervalSec;
   }
 
-  // Check if max runtime has been exceeded
-  const runtimeCheck = checkMaxRuntime(startedAt);
-  if (runtimeCheck.exceeded) {
-    const elapsedStr = runtimeCheck.elapsed.toFixed(2);
-    console.log(`Max runtime exceeded (${elapsedStr}h >= ${runtimeCheck.max}h) - stopping scheduling`);
-    return {
-      scheduled: false,
-      reason: 'max runtime exceeded',
-      elapsed: runtimeCheck.elapsed,
-      max: runtimeCheck.max,
-      shutdown: true,
-    };
+  const bedtime = body.bedtime || {};
+  if (bedtime.enabled !== undefined) {
+    if (typeof bedtime.enabled !== 'boolean') return { error: 'bedtime.enabled must be a boolean' };
+    fields.bedtimeEnabled = bedtime.enabled;
+  }
+  for (const [key, field] of [['start', 'bedtimeStart'], ['end', 'bedtimeEnd']]) {
+    if (bedtime[key] === undefined) continue;
+    if (!isHour(bedtime[key])) return { error: `bedtime.${key} must be an hour between 0 and 23` };
+    fields[field] = bedtime[key];
+  }
+  if (bedtime.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: bedtime.timezone });
+    } catch {
+      return { error: `Unknown timezone: ${bedtime.timezone}` };
+    }
+    fields.bedtimeTimezone = bedtime.timezone;
   }
 
-  // Check for bedtime and adjust delay if needed
-  const nextCheck = getNextCheckDelay(delaySeconds);
+  if (Object.keys(fields).length === 0) {
+    return { error: 'Provide checkIntervalSec and/or bedtime settings' };
+  }
+  return { fields };
+}
 
-  const queuePath = tasksClient.queuePath(
-    config.projectId,
-    config.location,
-    config.queueName
-  );
+// ============================================
+// IN-MEMORY CACHE
+// ============================================
 
-  // Calculate scheduled time and create a deterministic task name
-  // Round to nearest interval to handle slight timing variations
-  const scheduledSeconds = Math.floor(Date.now() / 1000) + nextCheck.delaySeconds;
-  const roundedSeconds = Math.round(scheduledSeconds / config.checkIntervalSec) * config.checkIntervalSec;
-  const taskName = `${queuePath}/tasks/check-${roundedSeconds}`;
+// Cache for ride statuses: { rideId: { status, statusSince, rideName, parkId, waitTime, waitAlerts, returnTimes, boardingGroup, pending, updatedAt } }
+// `pending` is an unconfirmed status change: { status, since, checks } (cache only, never written to storage)
+const statusCache = new Map();
+let statusCacheInitialized = false;
 
-  const task = {
-    name: taskName,
-    httpRequest: {
-      httpMethod: 'POST',
-      url: `${config.serviceUrl}/check`,
-      headers: { 'Content-Type': 'application/json' },
-      body: Buffer.from(JSON.stringify({ startedAt })).toString('base64'),
-    },
-    scheduleTime: {
-      seconds: scheduledSeconds,
-    },
-  };
+// Cache for device tokens: { tokens: [...], loadedAt: timestamp }
+let deviceCache = { tokens: [], loadedAt: 0 };
+const DEVICE_CACHE_TTL_MS = 60000; // Refresh device list every 60 seconds
+
+/**
+ * Initialize status cache from storage (only on cold start)
+ */
+async function initializeStatusCache() {
+  if (statusCacheInitialized) return;
 
+  logger.info(`Initializing status cache from ${storage.name}...`);
   try {
-    const [response] = await tasksClient.createTask({ parent: queuePath, task });
-    console.log(`Scheduled next check in ${nextCheck.delaySeconds}s (${nextCheck.reason}): ${response.name}`);
-    return {
-      scheduled: true,
-      delaySeconds: nextCheck.delaySeconds,
-      reason: nextCheck.reason,
-      isBedtime: nextCheck.isBedtime,
-    };
+    for (const [rideId, data] of await storage.loadStatuses()) {
+      statusCache.set(rideId, data);
+    }
+    statusCacheInitialized = true;
+    logger.info(`Status cache initialized with ${statusCache.size} rides`);
   } catch (error) {
-    // Error code 6 is ALREADY_EXISTS - task with this name already scheduled
-    if (error.code === 6) {
-      console.log(`Task already scheduled for ${roundedSeconds} (${nextCheck.reason}), skipping duplicate`);
-      return {
-        scheduled: true,
-        delaySeconds: nextCheck.delaySeconds,
-        reason: nextCheck.reason,
-        isBedtime: nextCheck.isBedtime,
-        deduplicated: true,
-      };
+    logger.error('Failed to initialize status cache:', error.message);
+    // Continue without cache - will populate as we go
+    statusCacheInitialized = true;
+  }
+}
+
+/**
+ * Get previous status from cache (no storage read)
+ */
+function getPreviousStatus(rideId) {
+  return statusCache.get(rideId) || null;
+}
+
+/**
+ * Save status to cache and storage (only if status, wait time, wait alert, return-time or boarding group state changed)
+ * `since` is when a changed status was first observed, if that was before this check
+ */
+async function saveStatus(rideId, status, rideName, { parkId = null, waitTime = null, waitAlerts = {}, returnTimes = null, boardingGroup = null, pending = null, since = null } = {}) {
+  const previous = statusCache.get(rideId);
+  const statusChanged = !previous || previous.status !== status;
+  const hasChanged = statusChanged ||
+    (previous.waitTime ?? null) !== waitTime ||
+    JSON.stringify(previous.waitAlerts || {}) !== JSON.stringify(waitAlerts) ||
+    JSON.stringify(previous.returnTimes ?? null) !== JSON.stringify(returnTimes) ||
+    JSON.stringify(previous.boardingGroup ?? null) !== JSON.stringify(boardingGroup);
+
+  // Always update cache
+  const now = nowIso();
+  const data = {
+    status,
+    statusSince: statusChanged ? (since || now) : (previous.statusSince || null),
+    rideName,
+    parkId,
+    waitTime,
+    waitAlerts,
+    returnTimes,
+    boardingGroup,
+    updatedAt: now,
+  };
+  statusCache.set(rideId, { ...data, pending });
+
+  // Only write to storage if something changed
+  if (hasChanged) {
+    await storage.saveStatus(rideId, data);
+    return true; // Indicates a write occurred
+  }
+  return false;
+}
+
+// ============================================
+// STATUS HISTORY
+// ============================================
+
+/**
+ * Append a status transition to the history and publish it to stream clients
+ * previousData is the cached entry from before the change; since is when the new status
+ * was first observed (before confirmation), defaulting to now. recordedAt is always now.
+ */
+async function recordTransition({ rideId, rideName, parkId, oldStatus, newStatus }, previousData, since = null) {
+  const recordedAt = nowIso();
+  const timestamp = since || recordedAt;
+  const previousSince = previousData?.statusSince || null;
+  const previousDurationSec = previousSince
+    ? Math.round((Date.parse(timestamp) - Date.parse(previousSince)) / 1000)
+    : null;
+
+  const transition = {
+    rideId,
+    rideName,
+    parkId,
+    oldStatus,
+    newStatus,
+    timestamp,
+    recordedAt,
+    previousSince,
+    previousDurationSec,
+  };
+
+  // Stream clients hear about it before the write, even if the write fails
+  publishTransition(transition);
+  await storage.addTransition(transition);
+}
+
+// ============================================
+// LIVE STREAM (Server-Sent Events)
+// ============================================
+
+// Connected /stream clients: { res, parks: string[], rides: string[], buffer: transition[] | null }
+// `buffer` holds live transitions while a reconnecting client is being sent what it missed
+const streamClients = new Set();
+let streamTimers = null;
+const STREAM_RESUME_LIMIT = 500; // Most transitions replayed to a reconnecting client
+
+/**
+ * Transition event IDs sort by when they were recorded, so a client's Last-Event-ID says where
+ * to resume. `timestamp` can't be used, since confirmed changes are backdated to their first
+ * sighting and would sort before events already sent. Transitions from one check share a time,
+ * so the ride ID breaks ties. History from before recordedAt existed falls back to timestamp.
+ */
+function getTransitionEventId(transition) {
+  return `${transition.recordedAt || transition.timestamp}|${transition.rideId}`;
+}
+
+function matchesStreamFilters(client, { parkId, rideId }) {
+  if (client.parks.length === 0 && client.rides.length === 0) return true;
+  return client.parks.includes(parkId) || client.rides.includes(rideId);
+}
+
+function writeStreamEvent(res, event, data, id = null) {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Push a status transition to every matching stream client
+ */
+function publishTransition(transition) {
+  for (const client of streamClients) {
+    if (!matchesStreamFilters(client, transition)) continue;
+    if (client.buffer) {
+      client.buffer.push(transition);
+    } else {
+      writeStreamEvent(client.res, 'transition', transition, getTransitionEventId(transition));
+    }
+  }
+}
+
+/**
+ * Current status of every cached ride the client is filtered to
+ */
+function buildStreamSnapshot(client) {
+  const rides = [...statusCache.entries()]
+    .filter(([rideId, data]) => matchesStreamFilters(client, { rideId, parkId: data.parkId }))
+    .map(([rideId, data]) => ({
+      rideId,
+      rideName: data.rideName,
+      parkId: data.parkId || null,
+      status: data.status,
+      waitTime: data.waitTime ?? null,
+      statusSince: data.statusSince || null,
+    }));
+  return { timestamp: nowIso(), rides };
+}
+
+/**
+ * Transitions after Last-Event-ID from the stored history, oldest first.
+ * Only the last STREAM_RESUME_MAX_MIN minutes are replayed; older IDs just get a fresh snapshot.
+ */
+async function getMissedTransitions(client, lastEventId) {
+  const [lastRecordedAt] = lastEventId.split('|');
+  if (Number.isNaN(Date.parse(lastRecordedAt))) return [];
+
+  // History is queried by (possibly backdated) timestamp, so read the whole window and filter by ID
+  const from = new Date(clock.now() - config.streamResumeMaxMin * 60 * 1000).toISOString();
+  const sources = client.parks.length === 0 && client.rides.length === 0
+    ? config.parkIds.map(parkId => ['parkId', parkId])
+    : [...client.parks.map(parkId => ['parkId', parkId]), ...client.rides.map(rideId => ['rideId', rideId])];
+
+  const transitions = new Map();
+  for (const [field, value] of sources) {
+    for (const transition of await storage.fetchAllTransitions(field, value, from)) {
+      const id = getTransitionEventId(transition);
+      if (id > lastEventId) transitions.set(id, transition);
+    }
+  }
+
+  return [...transitions.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .slice(-STREAM_RESUME_LIMIT);
+}
+
+/**
+ * Heartbeats keep proxies from closing idle connections; snapshots let clients resync.
+ * The timers only run while someone is connected.
+ */
+function startStreamTimers() {
+  if (streamTimers) return;
+  streamTimers = [
+    setInterval(() => {
+      for (const client of streamClients) writeStreamEvent(client.res, 'heartbeat', { timestamp: nowIso() });
+    }, config.streamHeartbeatSec * 1000),
+    setInterval(() => {
+      for (const client of streamClients) writeStreamEvent(client.res, 'snapshot', buildStreamSnapshot(client));
+    }, config.streamSnapshotSec * 1000),
+  ];
+}
+
+function stopStreamTimers() {
+  if (!streamTimers || streamClients.size > 0) return;
+  streamTimers.forEach(clearInterval);
+  streamTimers = null;
+}
+
+// ============================================
+// RELIABILITY STATS
+// ============================================
+
+// Only DOWN counts as a failure. CLOSED and REFURBISHMENT are planned, so time
+// spent in them is outside operating hours rather than downtime.
+const FAILURE_STATUS = 'DOWN';
+const OPERATING_STATUS = 'OPERATING';
+// Stats routes are public, so every request reads a bounded slice of history
+const STATS_DEFAULT_DAYS = 7;
+const STATS_MAX_DAYS = 90;
+
+const localDateFormatters = new Map();
+
+/**
+ * Get the local date (YYYY-MM-DD) and seconds since local midnight for a timestamp
+ */
+function getLocalDay(ms, timeZone) {
+  if (!localDateFormatters.has(timeZone)) {
+    localDateFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+
+  const parts = localDateFormatters.get(timeZone).formatToParts(new Date(ms));
+  const getPart = (type) => parts.find(p => p.type === type)?.value || '0';
+
+  return {
+    date: `${getPart('year')}-${getPart('month')}-${getPart('day')}`,
+    secondsIntoDay: parseInt(getPart('hour'), 10) * 3600 +
+      parseInt(getPart('minute'), 10) * 60 +
+      parseInt(getPart('second'), 10),
+  };
+}
+
+/**
+ * Get the ISO week (e.g. "2024-W23") for a YYYY-MM-DD date
+ */
+function getIsoWeek(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  const weekday = day.getUTCDay() || 7;
+  // The Thursday of this week decides which year the week belongs to
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Turn transitions (oldest first) into status periods: [{ status, start, end }] in ms
+ * `current` is the cached status, used when the ride has no transitions in range
+ */
+function buildStatusPeriods(transitions, current, fromMs, nowMs) {
+  const periods = [];
+
+  if (transitions.length === 0) {
+    if (current?.statusSince) {
+      periods.push({ status: current.status, start: Date.parse(current.statusSince), end: nowMs });
+    }
+  } else {
+    const first = transitions[0];
+    if (first.previousSince) {
+      periods.push({ status: first.oldStatus, start: Date.parse(first.previousSince), end: Date.parse(first.timestamp) });
+    }
+    transitions.forEach((transition, i) => {
+      const next = transitions[i + 1];
+      periods.push({
+        status: transition.newStatus,
+        start: Date.parse(transition.timestamp),
+        end: next ? Date.parse(next.timestamp) : nowMs,
+      });
+    });
+  }
+
+  return periods
+    .map(period => ({ ...period, start: Math.max(period.start, fromMs) }))
+    .filter(period => period.end > period.start);
+}
+
+function createStatsBucket() {
+  return { operatingSec: 0, downSec: 0, downEvents: 0, downtimes: [] };
+}
+
+function summarizeStatsBucket({ operatingSec, downSec, downEvents, downtimes }) {
+  const scheduledSec = operatingSec + downSec;
+  return {
+    uptimePct: scheduledSec > 0 ? Math.round((operatingSec / scheduledSec) * 10000) / 100 : null,
+    operatingSec: Math.round(operatingSec),
+    downSec: Math.round(downSec),
+    downEvents,
+    meanDowntimeSec: downtimes.length > 0
+      ? Math.round(downtimes.reduce((sum, d) => sum + d, 0) / downtimes.length)
+      : null,
+    maxDowntimeSec: downtimes.length > 0 ? Math.round(Math.max(...downtimes)) : null,
+    mtbfSec: downEvents > 0 ? Math.round(operatingSec / downEvents) : null,
+  };
+}
+
+/**
+ * Compute uptime, DOWN events, downtime and MTBF from status periods,
+ * grouped by local day, ISO week and overall.
+ * Uptime only counts OPERATING vs DOWN time; other statuses are outside operating hours.
+ * Events and downtimes belong to the day/week the outage started in.
+ */
+function computeReliabilityStats(periods, nowMs, timeZone = config.statsTimezone) {
+  const allTime = createStatsBucket();
+  const days = new Map();
+  const weeks = new Map();
+
+  const bucketsFor = (date) => {
+    const week = getIsoWeek(date);
+    if (!days.has(date)) days.set(date, createStatsBucket());
+    if (!weeks.has(week)) weeks.set(week, createStatsBucket());
+    return [allTime, days.get(date), weeks.get(week)];
+  };
+
+  for (const period of periods) {
+    const field = period.status === OPERATING_STATUS ? 'operatingSec'
+      : period.status === FAILURE_STATUS ? 'downSec'
+        : null;
+    if (!field) continue;
+
+    // Split the period at local midnights so each day gets its share
+    let cursor = period.start;
+    while (cursor < period.end) {
+      const { date, secondsIntoDay } = getLocalDay(cursor, timeZone);
+      const dayEnd = Math.min(period.end, cursor + (86400 - secondsIntoDay) * 1000);
+      for (const bucket of bucketsFor(date)) {
+        bucket[field] += (dayEnd - cursor) / 1000;
+      }
+      cursor = dayEnd;
+    }
+
+    if (period.status === FAILURE_STATUS) {
+      const { date } = getLocalDay(period.start, timeZone);
+      for (const bucket of bucketsFor(date)) {
+        bucket.downEvents++;
+        // Ongoing outages count as events but not towards mean/max downtime
+        if (period.end < nowMs) bucket.downtimes.push((period.end - period.start) / 1000);
+      }
+    }
+  }
+
+  const toList = (buckets, key) => [...buckets.entries()]
+    .sort(([a], [b]) => b.localeCompare(a))
+    .map(([value, bucket]) => ({ [key]: value, ...summarizeStatsBucket(bucket) }));
+
+  return {
+    allTime: summarizeStatsBucket(allTime),
+    weeks: toList(weeks, 'week'),
+    days: toList(days, 'date'),
+  };
+}
+
+async function getRideStats(rideId, from) {
+  const nowMs = Date.now();
+  const fromMs = Date.parse(from);
+  const transitions = await storage.fetchAllTransitions('rideId', rideId, from);
+  const current = statusCache.get(rideId) || null;
+
+  const periods = buildStatusPeriods(transitions, current, fromMs, nowMs);
+  return {
+    rideId,
+    rideName: current?.rideName || transitions[transitions.length - 1]?.rideName || null,
+    currentStatus: current?.status || null,
+    ...computeReliabilityStats(periods, nowMs),
+  };
+}
+
+/**
+ * Rank every ride in a park, least reliable first. Rides come from the park's catalog and
+ * status cache as well as its history, so rides that never changed status are ranked too.
+ */
+async function getParkStats(parkId, from) {
+  const nowMs = Date.now();
+  const fromMs = Date.parse(from);
+  const transitions = await storage.fetchAllTransitions('parkId', parkId, from);
+
+  const byRide = new Map();
+  const track = (rideId, rideName) => {
+    if (!byRide.has(rideId)) byRide.set(rideId, { rideName: null, transitions: [] });
+    if (rideName) byRide.get(rideId).rideName = rideName;
+    return byRide.get(rideId);
+  };
+  const catalog = config.parkIds.includes(parkId) ? await getParkCatalog(parkId) : null;
+  for (const ride of catalog?.rides.values() || []) track(ride.id, ride.name);
+  for (const [rideId, entry] of statusCache) {
+    if (entry.parkId === parkId) track(rideId, entry.rideName);
+  }
+  for (const transition of transitions) {
+    track(transition.rideId, transition.rideName).transitions.push(transition);
+  }
+
+  const rides = [...byRide.entries()].map(([rideId, ride]) => {
+    const current = statusCache.get(rideId) || null;
+    const periods = buildStatusPeriods(ride.transitions, current, fromMs, nowMs);
+    return {
+      rideId,
+      rideName: ride.rideName,
+      currentStatus: current?.status || null,
+      ...computeReliabilityStats(periods, nowMs).allTime,
+    };
+  });
+
+  rides.sort((a, b) =>
+    (a.uptimePct ?? 101) - (b.uptimePct ?? 101) || b.downEvents - a.downEvents
+  );
+
+  return { parkId, rides };
+}
+
+// ============================================
+// ThemeParks Wiki API
+// ============================================
+
+const API_BASE = config.apiBaseUrl;
+const DOWN_STATUSES = new Set(['DOWN', 'REFURBISHMENT', 'CLOSED']);
+
+// Status codes worth retrying: rate limiting and upstream/gateway errors
+const RETRYABLE_STATUS_CODES = new Set([429, 500, 502, 503, 504]);
+
+// Per-park circuit breakers: { parkId: { state: 'closed'|'open'|'half-open', failures, openedAt } }
+const parkCircuits = new Map();
+
+/**
+ * Fetch JSON from the ThemeParks Wiki API with a per-request timeout.
+ * HTTP errors carry `status` and `retryAfterMs` (from Retry-After) for the retry policy.
+ */
+async function fetchApiJson(url, description) {
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(config.fetchTimeoutMs) });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Timed out fetching ${description} after ${config.fetchTimeoutMs}ms`);
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    const error = new Error(`Failed to fetch ${description}: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Network errors and timeouts are retried, as are 429s and 5xx responses.
+ * A Retry-After longer than we're willing to wait gives up instead.
+ */
+function isRetryableFetchError(error) {
+  if (error.status === undefined) return true;
+  if (!RETRYABLE_STATUS_CODES.has(error.status)) return false;
+  return !(error.retryAfterMs > config.fetchMaxRetryAfterSec * 1000);
+}
+
+function getFetchErrorReason(error) {
+  if (error.status !== undefined) return `http_${error.status}`;
+  return error.message.startsWith('Timed out') ? 'timeout' : 'network';
+}
+
+/**
+ * Honor Retry-After when the API sends one, otherwise exponential backoff with full jitter
+ */
+function getFetchRetryDelay(error, attempt) {
+  if (error.retryAfterMs != null) return Math.round(error.retryAfterMs);
+  return Math.round(Math.random() * config.fetchBackoffMs * 2 ** (attempt - 1));
+}
+
+async function fetchParkLiveData(parkId) {
+  // Replays serve the recorded response for the current check
+  if (replayFrames) {
+    const data = replayFrames.get(parkId);
+    if (!data) throw new Error(`No recorded data for park ${parkId} in this check`);
+    return data;
+  }
+
+  const url = `${API_BASE}/entity/${parkId}/live`;
+  logger.info(`Fetching live data for park: ${parkId}`);
+
+  const data = await fetchApiJson(url, 'park data');
+  if (config.recordDir) await recordLiveData(parkId, data);
+  return data;
+}
+
+/**
+ * Check whether a park's circuit lets a request through. An open circuit moves to
+ * half-open once CIRCUIT_RESET_SEC has passed, allowing a single probe request.
+ */
+function isCircuitOpen(parkId, now) {
+  const circuit = parkCircuits.get(parkId);
+  if (!circuit || circuit.state !== 'open') return false;
+  if (now - circuit.openedAt < config.circuitResetSec * 1000) return true;
+
+  circuit.state = 'half-open';
+  logger.info(`Circuit half-open for park ${parkId}, sending a probe request`);
+  return false;
+}
+
+function recordParkFetchResult(parkId, succeeded, now) {
+  const circuit = parkCircuits.get(parkId) || { state: 'closed', failures: 0, openedAt: null };
+
+  if (succeeded) {
+    if (circuit.state !== 'closed') logger.info(`Circuit closed for park ${parkId}`);
+    parkCircuits.set(parkId, { state: 'closed', failures: 0, openedAt: null });
+    return;
+  }
+
+  circuit.failures++;
+  // A failed probe re-opens immediately; otherwise open after enough consecutive failed checks
+  if (circuit.state === 'half-open' || circuit.failures >= config.circuitFailureThreshold) {
+    circuit.state = 'open';
+    circuit.openedAt = now;
+    logger.warn(`Circuit open for park ${parkId} after ${circuit.failures} failed check(s), pausing for ${config.circuitResetSec}s`);
+  }
+  parkCircuits.set(parkId, circuit);
+}
+
+/**
+ * Fetch a park's live data through its circuit breaker, retrying transient failures.
+ * Never throws: returns { data, result } where result is the per-park report for /check.
+ */
+async function fetchParkWithResilience(parkId) {
+  return withLogContext({ parkId }, () => fetchParkWithRetries(parkId));
+}
+
+async function fetchParkWithRetries(parkId) {
+  const now = clock.now();
+  if (isCircuitOpen(parkId, now)) {
+    const circuit = parkCircuits.get(parkId);
+    const retryInSec = Math.ceil((circuit.openedAt + config.circuitResetSec * 1000 - now) / 1000);
+    logger.warn(`Skipping park ${parkId}: circuit open (retry in ${retryInSec}s)`);
+    metrics.upstreamFetchErrors.inc({ park: parkId, reason: 'circuit_open' });
+    return { data: null, result: { parkId, status: 'circuit_open', attempts: 0, retryInSec } };
+  }
+
+  // Half-open circuits get a single probe, no retries
+  const halfOpen = parkCircuits.get(parkId)?.state === 'half-open';
+  const retry = { attempts: halfOpen ? 1 : config.fetchRetries + 1, backoffMs: config.fetchBackoffMs };
+  let attempts = 0;
+
+  try {
+    const data = await withRetry(async attempt => {
+      attempts = attempt;
+      const startTime = Date.now();
+      try {
+        return await fetchParkLiveData(parkId);
+      } catch (error) {
+        metrics.upstreamFetchErrors.inc({ park: parkId, reason: getFetchErrorReason(error) });
+        throw error;
+      } finally {
+        const durationMs = Date.now() - startTime;
+        metrics.upstreamFetchDuration.observe({ park: parkId }, durationMs / 1000);
+        logger.debug(`Fetch attempt ${attempt} for park ${parkId} took ${durationMs}ms`, { attempt, durationMs });
+      }
+    }, retry, {
+      label: `park ${parkId} live data`,
+      shouldRetry: isRetryableFetchError,
+      getDelayMs: getFetchRetryDelay,
+    });
+    recordParkFetchResult(parkId, true, clock.now());
+    return { data, result: { parkId, status: attempts > 1 ? 'retried' : 'ok', attempts } };
+  } catch (error) {
+    logger.error(`Failed to fetch park ${parkId} after ${attempts} attempt(s):`, error.message);
+    recordParkFetchResult(parkId, false, clock.now());
+    const circuit = parkCircuits.get(parkId);
+    return {
+      data: null,
+      result: {
+        parkId,
+        status: 'failed',
+        attempts,
+        error: error.message,
+        circuit: circuit.state,
+        ...(error.status === 429 && { rateLimited: true }),
+        ...(error.retryAfterMs != null && { retryAfterSec: Math.ceil(error.retryAfterMs / 1000) }),
+      },
+    };
+  }
+}
+
+/**
+ * Circuit breaker state for every configured park (for the status endpoint)
+ */
+function getParkCircuitStates() {
+  return config.parkIds.map(parkId => {
+    const circuit = parkCircuits.get(parkId) || { state: 'closed', failures: 0, openedAt: null };
+    return {
+      parkId,
+      state: circuit.state,
+      failures: circuit.failures,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    };
+  });
+}
+
+async function fetchEntity(entityId) {
+  return fetchApiJson(`${API_BASE}/entity/${entityId}`, 'entity');
+}
+
+async function fetchParkSchedule(parkId) {
+  const url = `${API_BASE}/entity/${parkId}/schedule`;
+  logger.info(`Fetching schedule for park: ${parkId}`);
+
+  return fetchApiJson(url, 'park schedule');
+}
+
+/**
+ * Get the standby wait time in minutes from a live data entity, or null if not reported
+ */
+function getStandbyWaitTime(entity) {
+  const waitTime = entity.queue?.STANDBY?.waitTime;
+  return typeof waitTime === 'number' ? waitTime : null;
+}
+
+// ============================================
+// RECORD AND REPLAY
+// ============================================
+
+// Responses for the check being replayed: Map<parkId, liveData>, null when not replaying
+let replayFrames = null;
+
+// Push notifications captured during a replay instead of being sent, null when not replaying
+let pushSink = null;
+
+/**
+ * Append a raw /live response to RECORD_DIR/<parkId>/<YYYY-MM-DD>.jsonl
+ * Days use the park's local date so a recording covers one park day. The checkId
+ * from the log context lets replays regroup recorded responses into checks
+ */
+async function recordLiveData(parkId, data) {
+  const recordedAt = nowIso();
+  const timezone = scheduleCache.get(parkId)?.timezone || config.bedtimeTimezone;
+  const { date } = getLocalDay(Date.parse(recordedAt), timezone);
+  const filePath = join(config.recordDir, parkId, `${date}.jsonl`);
+
+  try {
+    await mkdir(dirname(filePath), { recursive: true });
+    const checkId = logContext.getStore()?.checkId ?? null;
+    await appendFile(filePath, `${JSON.stringify({ recordedAt, checkId, parkId, data })}\n`);
+  } catch (error) {
+    logger.error(`Failed to record live data for park ${parkId}:`, error.message);
+  }
+}
+
+/**
+ * Load recordings and group their responses into checks, oldest first
+ * Returns [{ recordedAt, frames: Map<parkId, liveData> }]
+ */
+async function loadRecordedChecks(files) {
+  const entries = [];
+  for (const file of files) {
+    const lines = (await readFile(file, 'utf8')).split('\n').filter(Boolean);
+    entries.push(...lines.map(line => JSON.parse(line)));
+  }
+  entries.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+
+  const checks = [];
+  const byCheckId = new Map();
+  for (const entry of entries) {
+    // Responses without a check ID (or from separate files) each become their own check
+    let check = entry.checkId ? byCheckId.get(entry.checkId) : null;
+    if (!check || check.frames.has(entry.parkId)) {
+      check = { recordedAt: entry.recordedAt, frames: new Map() };
+      checks.push(check);
+      if (entry.checkId) byCheckId.set(entry.checkId, check);
+    }
+    check.frames.set(entry.parkId, entry.data);
+  }
+  return checks;
+}
+
+/**
+ * Replay recorded days through checkStatusChanges with in-memory storage
+ * and captured notifications, then write a report of everything that would have been sent.
+ *
+ *   node index.js replay <recording.jsonl...> [--speed 60] [--devices devices.json] [--out report.json]
+ *
+ * --speed replays at N times real speed (default: as fast as possible).
+ * --out is where the report goes (default: replay-report.json).
+ * --devices loads device documents ([{ token, subscriptions, waitThresholds, ... }]) so
+ * per-device subscriptions and wait thresholds are applied.
+ */
+async function runReplay(args) {
+  const { values, positionals: files } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      speed: { type: 'string', default: '0' },
+      devices: { type: 'string' },
+      out: { type: 'string', default: 'replay-report.json' },
+    },
+  });
+  if (files.length === 0) {
+    throw new Error('Usage: node index.js replay <recording.jsonl...> [--speed N] [--devices file] [--out file]');
+  }
+
+  const speed = parseFloat(values.speed);
+  const checks = await loadRecordedChecks(files);
+  if (checks.length === 0) throw new Error('No recorded responses found');
+
+  if (values.devices) {
+    const devices = JSON.parse(await readFile(values.devices, 'utf8'));
+    for (const { token, ...device } of devices) {
+      await storage.setDevice(token, { active: true, ...device });
+    }
+  }
+
+  // Poll every park that appears in the recordings
+  config.parkIds = [...new Set(checks.flatMap(check => [...check.frames.keys()]))];
+
+  // Capture every notification: FCM pushes per device, other channels as rendered
+  pushSink = [];
+  const broadcasts = [];
+  notificationChannels = [
+    createChannel({ type: 'fcm', retry: NO_RETRY }),
+    {
+      name: 'channels',
+      type: 'replay',
+      filters: {},
+      send: async (alerts) => {
+        for (const notification of buildChannelNotifications(alerts)) {
+          broadcasts.push({ at: nowIso(), ...notification });
+        }
+        return { sent: 1, failed: 0 };
+      },
+    },
+  ];
+
+  // Adaptive polling measures stability from the start of the recording, not of the process
+  pollingActivity.lastChangeAt = Date.parse(checks[0].recordedAt);
+  const schedule = [];
+
+  logger.info(`Replaying ${checks.length} check(s) for ${config.parkIds.length} park(s)...`);
+  const totals = { checks: 0, ridesChecked: 0, statusChanges: 0, briefOutages: 0, waitAlerts: 0, returnTimeAlerts: 0, boardingGroupAlerts: 0 };
+
+  for (const [i, check] of checks.entries()) {
+    const checkMs = Date.parse(check.recordedAt);
+    clock.now = () => checkMs;
+    replayFrames = check.frames;
+
+    const result = await checkStatusChanges();
+    recordPollingActivity(result);
+    schedule.push({ at: check.recordedAt, ...getAdaptiveInterval(config.checkIntervalSec) });
+    totals.checks++;
+    totals.ridesChecked += result.checked;
+    totals.statusChanges += result.changes;
+    totals.briefOutages += result.briefOutages;
+    totals.waitAlerts += result.waitAlerts;
+    totals.returnTimeAlerts += result.returnTimeAlerts;
+    totals.boardingGroupAlerts += result.boardingGroupAlerts;
+
+    const next = checks[i + 1];
+    if (speed > 0 && next) {
+      const gapMs = Date.parse(next.recordedAt) - checkMs;
+      await new Promise(resolve => setTimeout(resolve, gapMs / speed));
+    }
+  }
+
+  const transitions = (await Promise.all(
+    config.parkIds.map(parkId => storage.fetchAllTransitions('parkId', parkId))
+  )).flat().sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  const report = {
+    from: checks[0].recordedAt,
+    to: checks[checks.length - 1].recordedAt,
+    parks: config.parkIds,
+    totals: { ...totals, pushes: pushSink.length, channelNotifications: broadcasts.length },
+    pushes: pushSink,
+    channelNotifications: broadcasts,
+    transitions,
+    schedule,
+  };
+
+  await writeFile(values.out, JSON.stringify(report, null, 2));
+  logger.info(`Replay report written to ${values.out}`);
+  logger.info(`Replay complete: ${totals.checks} checks, ${totals.statusChanges} changes, ${pushSink.length} push(es), ${broadcasts.length} channel notification(s)`);
+}
+
+// ============================================
+// DEVICE MANAGEMENT (with caching)
+// ============================================
+
+async function getDeviceTokens() {
+  const now = Date.now();
+
+  // Return cached tokens if still fresh
+  if (deviceCache.tokens.length > 0 && (now - deviceCache.loadedAt) < DEVICE_CACHE_TTL_MS) {
+    return deviceCache.tokens;
+  }
+
+  // Refresh from storage
+  logger.info(`Refreshing device tokens from ${storage.name}...`);
+  const tokens = await storage.getActiveDevices();
+
+  deviceCache = { tokens, loadedAt: now };
+  logger.info(`Device cache refreshed: ${tokens.length} active device(s)`);
+
+  return tokens;
+}
+
+async function registerDevice(token, metadata = {}) {
+  const cleanMetadata = Object.fromEntries(
+    Object.entries(metadata).filter(([_, v]) => v !== undefined)
+  );
+
+  // Every registration issues a fresh secret; only its hash is stored
+  const deviceSecret = randomBytes(32).toString('base64url');
+
+  await storage.setDevice(token, {
+    active: true,
+    registeredAt: new Date().toISOString(),
+    lastUpdated: new Date().toISOString(),
+    platform: cleanMetadata.platform || 'ios',
+    ...cleanMetadata,
+    secretHash: hashSecret(deviceSecret),
+  });
+
+  // Invalidate device cache
+  deviceCache.loadedAt = 0;
+  return deviceSecret;
+}
+
+function hashSecret(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Constant-time check of a device secret against the stored hash.
+ * Devices registered before secrets existed have none and get one by registering again.
+ */
+function isValidDeviceSecret(device, secret) {
+  if (!device?.secretHash || !secret) return false;
+  return safeEqual(device.secretHash, hashSecret(secret));
+}
+
+/**
+ * Returns false if the device was never registered
+ */
+async function unregisterDevice(token) {
+  const updated = await storage.updateDevice(token, {
+    active: false,
+    unregisteredAt: new Date().toISOString(),
+  });
+
+  // Invalidate device cache
+  deviceCache.loadedAt = 0;
+  return updated;
+}
+
+async function getDeviceSubscriptions(token) {
+  const device = await storage.getDevice(token);
+  if (!device) return null;
+
+  // No subscriptions field means every change; an emptied list means none
+  const { subscriptions } = device;
+  return {
+    all: !subscriptions,
+    rides: subscriptions?.rides || [],
+    parks: subscriptions?.parks || [],
+  };
+}
+
+/**
+ * Add or remove ride/park subscriptions for a device, or go back to every change with { all: true }
+ * Returns the updated subscriptions, or null if the device is not registered
+ */
+async function updateDeviceSubscriptions(token, { all = false, rides = [], parks = [] }, action) {
+  const current = await getDeviceSubscriptions(token);
+  if (!current) return null;
+
+  const apply = (existing, ids) => action === 'add'
+    ? [...new Set([...existing, ...ids])]
+    : existing.filter(id => !ids.includes(id));
+  const subscriptions = all ? null : {
+    rides: apply(current.rides, rides),
+    parks: apply(current.parks, parks),
+  };
+
+  await storage.updateDevice(token, {
+    subscriptions,
+    lastUpdated: new Date().toISOString(),
+  });
+
+  // Invalidate device cache
+  deviceCache.loadedAt = 0;
+
+  return { all, rides: subscriptions?.rides || [], parks: subscriptions?.parks || [] };
+}
+
+/**
+ * Check whether a device should be notified about a ride's status change.
+ * Devices that never subscribed receive every change; once they subscribe, only
+ * matching ones, so removing the last subscription leaves them with none.
+ */
+function isSubscribedTo(device, change) {
+  if (!device.subscriptions) return true;
+  const { rides = [], parks = [] } = device.subscriptions;
+  return rides.includes(change.rideId) || parks.includes(change.parkId);
+}
+
+async function getDeviceWaitThresholds(token) {
+  const device = await storage.getDevice(token);
+  if (!device) return null;
+  return device.waitThresholds || {};
+}
+
+/**
+ * Set (or clear, when thresholds is null) a device's wait time thresholds for a ride
+ * Returns all of the device's thresholds, or null if the device is not registered
+ */
+async function setDeviceWaitThreshold(token, rideId, thresholds) {
+  const current = await getDeviceWaitThresholds(token);
+  if (!current) return null;
+
+  const { [rideId]: _, ...waitThresholds } = current;
+  if (thresholds) waitThresholds[rideId] = thresholds;
+
+  await storage.updateDevice(token, {
+    waitThresholds,
+    lastUpdated: new Date().toISOString(),
+  });
+
+  // Invalidate device cache
+  deviceCache.loadedAt = 0;
+
+  return waitThresholds;
+}
+
+async function getDeviceShowSubscriptions(token) {
+  const device = await storage.getDevice(token);
+  if (!device) return null;
+  return device.showSubscriptions || {};
+}
+
+/**
+ * Subscribe a device to a show's reminders, cancellations and delays (or unsubscribe, when
+ * subscription is null). Returns all of the device's show subscriptions, or null if not registered
+ */
+async function setDeviceShowSubscription(token, showId, subscription) {
+  const current = await getDeviceShowSubscriptions(token);
+  if (!current) return null;
+
+  const { [showId]: _, ...showSubscriptions } = current;
+  if (subscription) showSubscriptions[showId] = subscription;
+
+  await storage.updateDevice(token, {
+    showSubscriptions,
+    lastUpdated: new Date().toISOString(),
+  });
+
+  // Invalidate device cache
+  deviceCache.loadedAt = 0;
+
+  return showSubscriptions;
+}
+
+async function getDeviceReturnTimeSubscriptions(token) {
+  const device = await storage.getDevice(token);
+  if (!device) return null;
+  return device.returnTimeSubscriptions || {};
+}
+
+/**
+ * Subscribe a device to a ride's return-time alerts (or unsubscribe, when subscription is null).
+ * Returns all of the device's return-time subscriptions, or null if not registered
+ */
+async function setDeviceReturnTimeSubscription(token, rideId, subscription) {
+  const current = await getDeviceReturnTimeSubscriptions(token);
+  if (!current) return null;
+
+  const { [rideId]: _, ...returnTimeSubscriptions } = current;
+  if (subscription) returnTimeSubscriptions[rideId] = subscription;
+
+  await storage.updateDevice(token, {
+    returnTimeSubscriptions,
+    lastUpdated: new Date().toISOString(),
+  });
+
+  // Invalidate device cache
+  deviceCache.loadedAt = 0;
+
+  return returnTimeSubscriptions;
+}
+
+async function getDeviceBoardingGroups(token) {
+  const device = await storage.getDevice(token);
+  if (!device) return null;
+  return device.boardingGroups || {};
+}
+
+/**
+ * Register a device's boarding group for a ride (or remove it, when registration is null).
+ * Returns all of the device's boarding groups, or null if not registered
+ */
+async function setDeviceBoardingGroup(token, rideId, registration) {
+  const current = await getDeviceBoardingGroups(token);
+  if (!current) return null;
+
+  const { [rideId]: _, ...boardingGroups } = current;
+  if (registration) boardingGroups[rideId] = registration;
+
+  await storage.updateDevice(token, {
+    boardingGroups,
+    lastUpdated: new Date().toISOString(),
+  });
+
+  // Invalidate device cache
+  deviceCache.loadedAt = 0;
+
+  return boardingGroups;
+}
+
+const DEFAULT_PREFERENCES = { quietHours: null, mutedStatuses: [] };
+
+async function getDevicePreferences(token) {
+  const device = await storage.getDevice(token);
+  if (!device) return null;
+  return { ...DEFAULT_PREFERENCES, ...device.preferences };
+}
+
+/**
+ * Replace the given preference fields (quietHours: null turns quiet hours off)
+ * Returns all of the device's preferences, or null if the device is not registered
+ */
+async function updateDevicePreferences(token, fields) {
+  const current = await getDevicePreferences(token);
+  if (!current) return null;
+
+  const preferences = { ...current, ...fields };
+  await storage.updateDevice(token, {
+    preferences,
+    lastUpdated: new Date().toISOString(),
+  });
+
+  // Invalidate device cache
+  deviceCache.loadedAt = 0;
+
+  return preferences;
+}
+
+/**
+ * Minutes since midnight from "HH:MM"
+ */
+function parseClockTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Check whether it's currently quiet hours for a device, in the device's own timezone.
+ * Quiet hours may wrap past midnight (e.g. 22:00-07:00).
+ */
+function isInQuietHours(preferences, nowMs = clock.now()) {
+  const quietHours = preferences?.quietHours;
+  if (!quietHours) return false;
+
+  const start = parseClockTime(quietHours.start);
+  const end = parseClockTime(quietHours.end);
+  const minutes = Math.floor(getLocalDay(nowMs, quietHours.timezone).secondsIntoDay / 60);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+function isStatusMuted(preferences, status) {
+  return (preferences?.mutedStatuses || []).includes(status);
+}
+
+async function markTokensInvalid(tokens) {
+  await storage.updateDevices(tokens, {
+    active: false,
+    invalid: true,
+    invalidatedAt: new Date().toISOString(),
+  });
+  metrics.invalidTokens.inc({}, tokens.length);
+
+  // Invalidate device cache
+  deviceCache.loadedAt = 0;
+}
+
+// ============================================
+// NOTIFICATION TEMPLATES
+// ============================================
+
+// Notification text per locale. `{name}` placeholders are filled from the alert:
+// ride, park, oldStatus, newStatus, status, downtime, duration, threshold, waitTime, count,
+// for shows: show, time, newTime, minutes, and for return times: queue, state, oldState, newState,
+// returnTime, earlierThan, and for boarding groups: group, groupStart, groupEnd, remaining, nextTime.
+// Status codes are shown through `statuses` and return-time states through `returnStates`,
+// falling back to the raw code.
+const DEFAULT_LOCALE = 'en';
+const LOCALE_TAG_PATTERN = /^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i;
+const NOTIFICATION_TEMPLATES = {
+  en: {
+    titles: {
+      OPERATING: 'Ride Back Up! 🎉',
+      DOWN: 'Ride Down ⚠️',
+      CLOSED: 'Ride Closed',
+      REFURBISHMENT: 'Ride Under Refurbishment',
+      default: 'Ride Status Changed',
+    },
+    statuses: { UNKNOWN: 'Unknown' },
+    statusChange: '{ride} ({park}): {oldStatus} → {newStatus}',
+    statusRecovered: '{ride} ({park}): {oldStatus} → {newStatus} after {downtime}',
+    briefOutageTitle: 'Brief Outage',
+    briefOutage: '{ride}: briefly {status} ({duration})',
+    summaryTitle: '{count} Ride Status Changes',
+    summaryLine: '• {ride}: {oldStatus} → {newStatus}',
+    summaryAlertLine: '• {alert}',
+    catchUpTitle: 'Quiet Hours Summary',
+    waitBelowTitle: 'Short Wait ⏱️',
+    waitAboveTitle: 'Long Wait ⏳',
+    waitBelow: '{ride} standby dropped below {threshold} minutes (now {waitTime} min)',
+    waitAbove: '{ride} standby rose above {threshold} minutes (now {waitTime} min)',
+    showReminderTitle: 'Showtime Soon 🎆',
+    showReminder: '{show} ({park}) starts at {time}, in {minutes} min',
+    showCancelledTitle: 'Showtime Cancelled',
+    showCancelled: '{show} ({park}) at {time} is no longer scheduled',
+    showDelayedTitle: 'Showtime Delayed',
+    showDelayed: '{show} ({park}) moved from {time} to {newTime}',
+    showClosedTitle: 'Show Closed',
+    showClosed: '{show} ({park}) is {status}, so the {time} show may be cancelled or delayed',
+    returnQueues: { RETURN_TIME: 'Lightning Lane', PAID_RETURN_TIME: 'Individual Lightning Lane' },
+    returnStates: {},
+    returnAvailableTitle: 'Lightning Lane Available 🎟️',
+    returnAvailable: '{queue} for {ride} is {state} again, return {returnTime}',
+    returnStateTitle: 'Lightning Lane Update',
+    returnState: '{queue} for {ride}: {oldState} → {newState}',
+    returnEarlierTitle: 'Earlier Return Time 🎟️',
+    returnEarlier: '{queue} for {ride} moved earlier than {earlierThan}, return {returnTime}',
+    boardingApproachingTitle: 'Boarding Group Almost Up ⏳',
+    boardingApproaching: '{ride} is calling groups {groupStart}-{groupEnd}, your group {group} is {remaining} away',
+    boardingCalledTitle: 'Boarding Group Called! 🎉',
+    boardingCalled: 'Your boarding group {group} for {ride} has been called (now {groupStart}-{groupEnd})',
+    boardingOpenTitle: 'Virtual Queue Open',
+    boardingOpen: 'The virtual queue for {ride} is open',
+    boardingPausedTitle: 'Virtual Queue Paused',
+    boardingPaused: 'The virtual queue for {ride} is paused',
+    boardingClosedTitle: 'Virtual Queue Closed',
+    boardingClosed: 'The virtual queue for {ride} closed',
+    boardingClosedNext: 'The virtual queue for {ride} closed, next allocation at {nextTime}',
+    duration: { seconds: '{s}s', minutes: '{m}m', hours: '{h}h {m}m' },
+  },
+  es: {
+    titles: {
+      OPERATING: '¡Atracción de nuevo en marcha! 🎉',
+      DOWN: 'Atracción detenida ⚠️',
+      CLOSED: 'Atracción cerrada',
+      REFURBISHMENT: 'Atracción en renovación',
+      default: 'Cambio de estado',
+    },
+    statuses: {
+      OPERATING: 'En funcionamiento',
+      DOWN: 'Detenida',
+      CLOSED: 'Cerrada',
+      REFURBISHMENT: 'En renovación',
+      UNKNOWN: 'Desconocido',
+    },
+    statusChange: '{ride} ({park}): {oldStatus} → {newStatus}',
+    statusRecovered: '{ride} ({park}): {oldStatus} → {newStatus} tras {downtime}',
+    briefOutageTitle: 'Interrupción breve',
+    briefOutage: '{ride}: {status} brevemente ({duration})',
+    summaryTitle: '{count} cambios de estado',
+    summaryLine: '• {ride}: {oldStatus} → {newStatus}',
+    summaryAlertLine: '• {alert}',
+    catchUpTitle: 'Resumen de las horas de silencio',
+    waitBelowTitle: 'Espera corta ⏱️',
+    waitAboveTitle: 'Espera larga ⏳',
+    waitBelow: 'La espera de {ride} bajó de {threshold} minutos (ahora {waitTime} min)',
+    waitAbove: 'La espera de {ride} superó los {threshold} minutos (ahora {waitTime} min)',
+    showReminderTitle: 'El espectáculo empieza pronto 🎆',
+    showReminder: '{show} ({park}) empieza a las {time}, en {minutes} min',
+    showCancelledTitle: 'Función cancelada',
+    showCancelled: 'La función de {show} ({park}) de las {time} ya no está programada',
+    showDelayedTitle: 'Función retrasada',
+    showDelayed: 'La función de {show} ({park}) pasa de las {time} a las {newTime}',
+    showClosedTitle: 'Espectáculo cerrado',
+    showClosed: '{show} ({park}): {status}. La función de las {time} podría cancelarse o retrasarse',
+    returnQueues: { RETURN_TIME: 'Lightning Lane', PAID_RETURN_TIME: 'Lightning Lane individual' },
+    returnStates: { AVAILABLE: 'disponible', TEMP_FULL: 'completo temporalmente', FINISHED: 'agotado' },
+    returnAvailableTitle: 'Lightning Lane disponible 🎟️',
+    returnAvailable: '{queue} para {ride} vuelve a estar {state}, regreso a las {returnTime}',
+    returnStateTitle: 'Novedades de Lightning Lane',
+    returnState: '{queue} para {ride}: {oldState} → {newState}',
+    returnEarlierTitle: 'Regreso más temprano 🎟️',
+    returnEarlier: '{queue} para {ride} se adelantó a antes de las {earlierThan}, regreso a las {returnTime}',
+    boardingApproachingTitle: 'Tu grupo está cerca ⏳',
+    boardingApproaching: '{ride} llama a los grupos {groupStart}-{groupEnd}; a tu grupo {group} le faltan {remaining}',
+    boardingCalledTitle: '¡Han llamado a tu grupo! 🎉',
+    boardingCalled: 'Han llamado a tu grupo de embarque {group} para {ride} (ahora {groupStart}-{groupEnd})',
+    boardingOpenTitle: 'Fila virtual abierta',
+    boardingOpen: 'La fila virtual de {ride} está abierta',
+    boardingPausedTitle: 'Fila virtual en pausa',
+    boardingPaused: 'La fila virtual de {ride} está en pausa',
+    boardingClosedTitle: 'Fila virtual cerrada',
+    boardingClosed: 'La fila virtual de {ride} se ha cerrado',
+    boardingClosedNext: 'La fila virtual de {ride} se ha cerrado, próxima asignación a las {nextTime}',
+    duration: { seconds: '{s} s', minutes: '{m} min', hours: '{h} h {m} min' },
+  },
+  fr: {
+    titles: {
+      OPERATING: 'Attraction rouverte ! 🎉',
+      DOWN: 'Attraction en panne ⚠️',
+      CLOSED: 'Attraction fermée',
+      REFURBISHMENT: 'Attraction en rénovation',
+      default: 'Changement de statut',
+    },
+    statuses: {
+      OPERATING: 'Ouverte',
+      DOWN: 'En panne',
+      CLOSED: 'Fermée',
+      REFURBISHMENT: 'En rénovation',
+      UNKNOWN: 'Inconnu',
+    },
+    statusChange: '{ride} ({park}) : {oldStatus} → {newStatus}',
+    statusRecovered: '{ride} ({park}) : {oldStatus} → {newStatus} après {downtime}',
+    briefOutageTitle: 'Brève interruption',
+    briefOutage: '{ride} : brièvement {status} ({duration})',
+    summaryTitle: '{count} changements de statut',
+    summaryLine: '• {ride} : {oldStatus} → {newStatus}',
+    summaryAlertLine: '• {alert}',
+    catchUpTitle: 'Résumé des heures calmes',
+    waitBelowTitle: 'Attente courte ⏱️',
+    waitAboveTitle: 'Attente longue ⏳',
+    waitBelow: 'L’attente pour {ride} est passée sous {threshold} minutes (actuellement {waitTime} min)',
+    waitAbove: 'L’attente pour {ride} a dépassé {threshold} minutes (actuellement {waitTime} min)',
+    showReminderTitle: 'Spectacle imminent 🎆',
+    showReminder: '{show} ({park}) commence à {time}, dans {minutes} min',
+    showCancelledTitle: 'Séance annulée',
+    showCancelled: 'La séance de {show} ({park}) à {time} n’est plus programmée',
+    showDelayedTitle: 'Séance retardée',
+    showDelayed: 'La séance de {show} ({park}) passe de {time} à {newTime}',
+    showClosedTitle: 'Spectacle fermé',
+    showClosed: '{show} ({park}) : {status}. La séance de {time} pourrait être annulée ou retardée',
+    returnQueues: { RETURN_TIME: 'Lightning Lane', PAID_RETURN_TIME: 'Lightning Lane individuel' },
+    returnStates: { AVAILABLE: 'disponible', TEMP_FULL: 'temporairement complet', FINISHED: 'épuisé' },
+    returnAvailableTitle: 'Lightning Lane disponible 🎟️',
+    returnAvailable: '{queue} pour {ride} est de nouveau {state}, retour à {returnTime}',
+    returnStateTitle: 'Mise à jour Lightning Lane',
+    returnState: '{queue} pour {ride} : {oldState} → {newState}',
+    returnEarlierTitle: 'Retour avancé 🎟️',
+    returnEarlier: '{queue} pour {ride} est passé avant {earlierThan}, retour à {returnTime}',
+    boardingApproachingTitle: 'Votre groupe approche ⏳',
+    boardingApproaching: '{ride} appelle les groupes {groupStart} à {groupEnd}, votre groupe {group} est à {remaining} groupes',
+    boardingCalledTitle: 'Votre groupe est appelé ! 🎉',
+    boardingCalled: 'Votre groupe d’embarquement {group} pour {ride} est appelé (actuellement {groupStart} à {groupEnd})',
+    boardingOpenTitle: 'File virtuelle ouverte',
+    boardingOpen: 'La file virtuelle de {ride} est ouverte',
+    boardingPausedTitle: 'File virtuelle en pause',
+    boardingPaused: 'La file virtuelle de {ride} est en pause',
+    boardingClosedTitle: 'File virtuelle fermée',
+    boardingClosed: 'La file virtuelle de {ride} est fermée',
+    boardingClosedNext: 'La file virtuelle de {ride} est fermée, prochaine attribution à {nextTime}',
+    duration: { seconds: '{s} s', minutes: '{m} min', hours: '{h} h {m} min' },
+  },
+  ja: {
+    titles: {
+      OPERATING: '運営再開 🎉',
+      DOWN: '一時運営中止 ⚠️',
+      CLOSED: '運営終了',
+      REFURBISHMENT: 'リハブ中',
+      default: 'ステータス変更',
+    },
+    statuses: {
+      OPERATING: '運営中',
+      DOWN: '一時運営中止',
+      CLOSED: '運営終了',
+      REFURBISHMENT: 'リハブ中',
+      UNKNOWN: '不明',
+    },
+    statusChange: '{ride}（{park}）：{oldStatus} → {newStatus}',
+    statusRecovered: '{ride}（{park}）：{oldStatus} → {newStatus}（停止時間: {downtime}）',
+    briefOutageTitle: '短時間の運営中止',
+    briefOutage: '{ride}：一時的に{status}（{duration}）',
+    summaryTitle: '{count}件のステータス変更',
+    summaryLine: '• {ride}：{oldStatus} → {newStatus}',
+    summaryAlertLine: '• {alert}',
+    catchUpTitle: 'おやすみ時間中の更新まとめ',
+    waitBelowTitle: '待ち時間短め ⏱️',
+    waitAboveTitle: '待ち時間長め ⏳',
+    waitBelow: '{ride}の待ち時間が{threshold}分を下回りました（現在{waitTime}分）',
+    waitAbove: '{ride}の待ち時間が{threshold}分を超えました（現在{waitTime}分）',
+    showReminderTitle: 'まもなく開演 🎆',
+    showReminder: '{show}（{park}）は{time}開演です（あと{minutes}分）',
+    showCancelledTitle: '公演中止',
+    showCancelled: '{show}（{park}）の{time}の回は予定から外れました',
+    showDelayedTitle: '公演時間変更',
+    showDelayed: '{show}（{park}）の{time}の回は{newTime}に変更されました',
+    showClosedTitle: 'ショー休止',
+    showClosed: '{show}（{park}）は{status}です。{time}の回は中止または遅延の可能性があります',
+    returnQueues: { RETURN_TIME: 'ライトニングレーン', PAID_RETURN_TIME: 'ライトニングレーン（個別）' },
+    returnStates: { AVAILABLE: '取得可能', TEMP_FULL: '一時的に満枠', FINISHED: '終了' },
+    returnAvailableTitle: 'ライトニングレーン取得可能 🎟️',
+    returnAvailable: '{ride}の{queue}が再び{state}になりました（利用開始 {returnTime}）',
+    returnStateTitle: 'ライトニングレーン情報',
+    returnState: '{ride}の{queue}：{oldState} → {newState}',
+    returnEarlierTitle: '利用時間が早まりました 🎟️',
+    returnEarlier: '{ride}の{queue}の利用開始が{earlierThan}より前になりました（{returnTime}）',
+    boardingApproachingTitle: 'まもなく呼び出し ⏳',
+    boardingApproaching: '{ride}は{groupStart}〜{groupEnd}番を案内中です。あなたのグループ{group}番まであと{remaining}グループです',
+    boardingCalledTitle: 'グループが呼び出されました 🎉',
+    boardingCalled: '{ride}の搭乗グループ{group}番が呼び出されました（現在{groupStart}〜{groupEnd}番）',
+    boardingOpenTitle: 'バーチャルキュー受付開始',
+    boardingOpen: '{ride}のバーチャルキューの受付が始まりました',
+    boardingPausedTitle: 'バーチャルキュー一時停止',
+    boardingPaused: '{ride}のバーチャルキューは一時停止中です',
+    boardingClosedTitle: 'バーチャルキュー受付終了',
+    boardingClosed: '{ride}のバーチャルキューの受付が終了しました',
+    boardingClosedNext: '{ride}のバーチャルキューの受付が終了しました。次回の受付は{nextTime}です',
+    duration: { seconds: '{s}秒', minutes: '{m}分', hours: '{h}時間{m}分' },
+  },
+};
+
+/**
+ * Map a requested locale (e.g. "es-MX", "fr_CA", "JA") to a supported one, falling back to English
+ */
+function resolveLocale(locale) {
+  if (typeof locale !== 'string') return DEFAULT_LOCALE;
+  const normalized = locale.trim().toLowerCase().replace('_', '-');
+  if (NOTIFICATION_TEMPLATES[normalized]) return normalized;
+  const language = normalized.split('-')[0];
+  return NOTIFICATION_TEMPLATES[language] ? language : DEFAULT_LOCALE;
+}
+
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] ?? match).toString());
+}
+
+function formatStatusLabel(strings, status) {
+  return strings.statuses[status || 'UNKNOWN'] || status || strings.statuses.UNKNOWN;
+}
+
+/**
+ * Same rounding as formatDuration, in the locale's units
+ */
+function formatLocalizedDuration(strings, seconds) {
+  if (seconds < 60) return renderTemplate(strings.duration.seconds, { s: Math.round(seconds) });
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return renderTemplate(h > 0 ? strings.duration.hours : strings.duration.minutes, { h, m });
+}
+
+/**
+ * Template values shared by every alert type
+ */
+function getTemplateValues(strings, alert) {
+  return {
+    ride: alert.rideName,
+    park: alert.parkName || alert.parkId,
+    oldStatus: formatStatusLabel(strings, alert.oldStatus),
+    newStatus: formatStatusLabel(strings, alert.newStatus),
+    status: formatStatusLabel(strings, alert.status),
+    downtime: alert.downtimeSec != null ? formatLocalizedDuration(strings, alert.downtimeSec) : undefined,
+    duration: alert.durationSec != null ? formatLocalizedDuration(strings, alert.durationSec) : undefined,
+    threshold: alert.threshold,
+    waitTime: alert.waitTime,
+  };
+}
+
+function renderStatusChange(change, locale) {
+  const strings = NOTIFICATION_TEMPLATES[resolveLocale(locale)];
+  const values = getTemplateValues(strings, change);
+  return {
+    title: strings.titles[change.newStatus] || strings.titles.default,
+    body: renderTemplate(change.downtimeSec != null ? strings.statusRecovered : strings.statusChange, values),
+  };
+}
+
+function renderBriefOutage(outage, locale) {
+  const strings = NOTIFICATION_TEMPLATES[resolveLocale(locale)];
+  return {
+    title: strings.briefOutageTitle,
+    body: renderTemplate(strings.briefOutage, getTemplateValues(strings, outage)),
+  };
+}
+
+function renderSummary(statusChanges, briefOutages, locale) {
+  const strings = NOTIFICATION_TEMPLATES[resolveLocale(locale)];
+  const lines = [
+    ...statusChanges.map(change => renderTemplate(strings.summaryLine, getTemplateValues(strings, change))),
+    ...briefOutages.map(outage => `• ${renderTemplate(strings.briefOutage, getTemplateValues(strings, outage))}`),
+  ];
+  return {
+    title: renderTemplate(strings.summaryTitle, { count: lines.length }),
+    body: lines.join('\n'),
+  };
+}
+
+/**
+ * Quiet hours catch-up: one line per held status change, then one per held alert
+ * (heldAlerts entries are { type, alert, earlierThan } as stored by holdForQuietHours)
+ */
+function renderCatchUpSummary(changes, locale, heldAlerts = []) {
+  const strings = NOTIFICATION_TEMPLATES[resolveLocale(locale)];
+  return {
+    title: strings.catchUpTitle,
+    body: [
+      ...changes.map(change => renderTemplate(strings.summaryLine, getTemplateValues(strings, change))),
+      ...heldAlerts.map(held => renderTemplate(strings.summaryAlertLine, { alert: renderHeldAlert(held, locale).body })),
+    ].join('\n'),
+  };
+}
+
+function renderHeldAlert({ type, alert, earlierThan }, locale) {
+  if (type === 'show') return renderShowAlert(alert, locale);
+  if (type === 'wait_time') return renderWaitAlert(alert, locale);
+  if (type === 'return_time') return renderReturnTimeAlert(alert, locale, earlierThan);
+  return renderBoardingGroupAlert(alert, locale);
+}
+
+const localTimeFormatters = new Map();
+
+/**
+ * A showtime or return time as local time in the park's timezone, e.g. "9:00 PM" or "21:00"
+ */
+function formatLocalTime(startTime, timeZone, locale) {
+  const key = `${locale}|${timeZone}`;
+  if (!localTimeFormatters.has(key)) {
+    localTimeFormatters.set(key, new Intl.DateTimeFormat(locale, { timeZone, hour: 'numeric', minute: '2-digit' }));
+  }
+  return localTimeFormatters.get(key).format(new Date(startTime));
+}
+
+const SHOW_TEMPLATE_KEYS = {
+  show_reminder: ['showReminderTitle', 'showReminder'],
+  show_cancelled: ['showCancelledTitle', 'showCancelled'],
+  show_delayed: ['showDelayedTitle', 'showDelayed'],
+  show_closed: ['showClosedTitle', 'showClosed'],
+};
+
+function renderShowAlert(alert, locale) {
+  const resolved = resolveLocale(locale);
+  const strings = NOTIFICATION_TEMPLATES[resolved];
+  const [titleKey, bodyKey] = SHOW_TEMPLATE_KEYS[alert.type];
+  return {
+    title: strings[titleKey],
+    body: renderTemplate(strings[bodyKey], {
+      ...getTemplateValues(strings, alert),
+      show: alert.showName,
+      time: formatLocalTime(alert.startTime, alert.timezone, resolved),
+      newTime: alert.newStartTime ? formatLocalTime(alert.newStartTime, alert.timezone, resolved) : undefined,
+      minutes: alert.startTime ? Math.max(Math.round((Date.parse(alert.startTime) - clock.now()) / 60000), 0) : undefined,
+    }),
+  };
+}
+
+/**
+ * Return-time alert text. earlierThan is the device's threshold, set only for alerts
+ * matched through it.
+ */
+function renderReturnTimeAlert(alert, locale, earlierThan = null) {
+  const resolved = resolveLocale(locale);
+  const strings = NOTIFICATION_TEMPLATES[resolved];
+  const formatState = state => strings.returnStates[state] || state;
+  const returnTime = alert.returnStart ? formatLocalTime(alert.returnStart, alert.timezone, resolved) : undefined;
+  const [titleKey, bodyKey] = earlierThan ? ['returnEarlierTitle', 'returnEarlier']
+    : alert.newState === 'AVAILABLE' && returnTime ? ['returnAvailableTitle', 'returnAvailable']
+      : ['returnStateTitle', 'returnState'];
+  return {
+    title: strings[titleKey],
+    body: renderTemplate(strings[bodyKey], {
+      ...getTemplateValues(strings, alert),
+      queue: strings.returnQueues[alert.queue] || alert.queue,
+      state: formatState(alert.newState),
+      oldState: formatState(alert.oldState),
+      newState: formatState(alert.newState),
+      returnTime,
+      // "HH:MM" is already park local time, so format it as a UTC time of day
+      earlierThan: earlierThan ? formatLocalTime(Date.UTC(1970, 0, 1, 0, parseClockTime(earlierThan)), 'UTC', resolved) : undefined,
+    }),
+  };
+}
+
+/**
+ * Boarding group alert text: a device's group coming up or called (stage), or the
+ * virtual queue opening, pausing or closing
+ */
+function renderBoardingGroupAlert(alert, locale, registration = null, stage = null) {
+  const resolved = resolveLocale(locale);
+  const strings = NOTIFICATION_TEMPLATES[resolved];
+  let titleKey;
+  let bodyKey;
+  if (stage) {
+    [titleKey, bodyKey] = stage === 'called'
+      ? ['boardingCalledTitle', 'boardingCalled']
+      : ['boardingApproachingTitle', 'boardingApproaching'];
+  } else if (alert.allocationStatus === 'AVAILABLE') {
+    [titleKey, bodyKey] = ['boardingOpenTitle', 'boardingOpen'];
+  } else if (alert.allocationStatus === 'PAUSED') {
+    [titleKey, bodyKey] = ['boardingPausedTitle', 'boardingPaused'];
+  } else {
+    [titleKey, bodyKey] = ['boardingClosedTitle', alert.nextAllocationTime ? 'boardingClosedNext' : 'boardingClosed'];
+  }
+  return {
+    title: strings[titleKey],
+    body: renderTemplate(strings[bodyKey], {
+      ...getTemplateValues(strings, alert),
+      group: registration?.group,
+      groupStart: alert.currentGroupStart ?? alert.currentGroupEnd,
+      groupEnd: alert.currentGroupEnd,
+      remaining: registration?.group != null && alert.currentGroupEnd != null ? registration.group - alert.currentGroupEnd : undefined,
+      nextTime: alert.nextAllocationTime ? formatLocalTime(alert.nextAllocationTime, alert.timezone, resolved) : undefined,
+    }),
+  };
+}
+
+function renderWaitAlert(alert, locale) {
+  const strings = NOTIFICATION_TEMPLATES[resolveLocale(locale)];
+  const below = alert.direction === 'below';
+  return {
+    title: below ? strings.waitBelowTitle : strings.waitAboveTitle,
+    body: renderTemplate(below ? strings.waitBelow : strings.waitAbove, getTemplateValues(strings, alert)),
+  };
+}
+
+// ============================================
+// PUSH NOTIFICATIONS
+// ============================================
+
+const INVALID_TOKEN_CODES = new Set([
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered',
+]);
+
+// sendEachForMulticast accepts at most 500 tokens per request
+const FCM_MULTICAST_LIMIT = 500;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Map over items with at most `limit` calls to fn in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+function buildPushPayload(title, body, data = {}) {
+  return {
+    notification: { title, body },
+    data: {
+      ...data,
+      timestamp: nowIso(),
+    },
+    apns: {
+      payload: {
+        aps: {
+          sound: 'default',
+          badge: 1,
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Send one push job: a multicast to up to 500 tokens, or a single topic message
+ * Returns { sent, failed, invalidTokens }
+ */
+async function sendPushJob({ tokens, topic, title, body, data }, retry) {
+  const payload = buildPushPayload(title, body, data);
+
+  if (topic) {
+    try {
+      await withRetry(() => admin.messaging().send({ ...payload, topic }), retry, { label: `push to topic ${topic}` });
+      logger.info(`Push sent to topic ${topic}`);
+      metrics.pushSent.inc();
+      return { sent: 1, failed: 0, invalidTokens: [] };
+    } catch (error) {
+      logger.error(`Failed to send push to topic ${topic}:`, error.message);
+      metrics.pushFailures.inc({ code: error.code || 'unknown' });
+      return { sent: 0, failed: 1, invalidTokens: [] };
+    }
+  }
+
+  try {
+    const response = await withRetry(
+      () => admin.messaging().sendEachForMulticast({ ...payload, tokens }),
+      retry,
+      { label: `multicast to ${tokens.length} device(s)` }
+    );
+
+    const invalidTokens = [];
+    metrics.pushSent.inc({}, response.successCount);
+    response.responses.forEach((result, i) => {
+      if (result.success) return;
+      metrics.pushFailures.inc({ code: result.error?.code || 'unknown' });
+      logger.error(`Failed to send push to ${redactToken(tokens[i])}:`, result.error?.message, { code: result.error?.code });
+      if (INVALID_TOKEN_CODES.has(result.error?.code)) invalidTokens.push(tokens[i]);
+    });
+
+    logger.info(`Multicast sent to ${response.successCount} of ${tokens.length} device(s)`);
+    return { sent: response.successCount, failed: response.failureCount, invalidTokens };
+  } catch (error) {
+    logger.error(`Failed to send multicast to ${tokens.length} device(s):`, error.message);
+    metrics.pushFailures.inc({ code: error.code || 'unknown' }, tokens.length);
+    return { sent: 0, failed: tokens.length, invalidTokens: [] };
+  }
+}
+
+/**
+ * Deliver push messages, each either { tokens, title, body, data } or { topic, title, body, data }.
+ * Token lists are split into multicast requests of up to 500, with at most FCM_CONCURRENCY
+ * requests in flight. Invalid tokens are marked in one batch at the end, unless
+ * markInvalid is false.
+ */
+async function sendPushNotifications(messages, retry = NO_RETRY, { markInvalid = true } = {}) {
+  const jobs = messages.flatMap(message => (message.topic
+    ? [message]
+    : chunk(message.tokens, FCM_MULTICAST_LIMIT).map(tokens => ({ ...message, tokens }))));
+
+  // Replays capture pushes instead of sending them
+  if (pushSink) {
+    let sent = 0;
+    for (const { tokens, topic, title, body, data } of jobs) {
+      for (const target of topic ? [{ topic }] : tokens.map(token => ({ token }))) {
+        pushSink.push({ at: nowIso(), ...target, title, body, data });
+        sent++;
+      }
+    }
+    return { sent, failed: 0, invalid: 0 };
+  }
+
+  if (!firebaseInitialized) {
+    logger.warn('Firebase not initialized, skipping push notification');
+    return { sent: 0, failed: 0, invalid: 0 };
+  }
+
+  logger.info(`Sending ${messages.length} push message(s) in ${jobs.length} request(s)`);
+  const results = await mapWithConcurrency(jobs, config.fcmConcurrency, job => sendPushJob(job, retry));
+
+  const invalidTokens = results.flatMap(result => result.invalidTokens);
+  if (invalidTokens.length > 0 && !markInvalid) {
+    logger.warn(`${invalidTokens.length} token(s) are no longer valid: ${invalidTokens.map(redactToken).join(', ')}`);
+  } else if (invalidTokens.length > 0) {
+    logger.info(`Marking ${invalidTokens.length} invalid token(s)`);
+    try {
+      await markTokensInvalid(invalidTokens);
+    } catch (error) {
+      logger.error('Failed to mark invalid tokens:', error.message);
+    }
+  }
+
+  return {
+    sent: results.reduce((sum, result) => sum + result.sent, 0),
+    failed: results.reduce((sum, result) => sum + result.failed, 0),
+    invalid: invalidTokens.length,
+  };
+}
+
+/**
+ * Build the notifications for a set of status changes and brief outages:
+ * one per change, or a single summary when there are more than 3
+ */
+function buildStatusNotifications(statusChanges, briefOutages = [], locale = DEFAULT_LOCALE) {
+  const count = statusChanges.length + briefOutages.length;
+
+  if (count <= 3) {
+    return [
+      ...statusChanges.map(change => ({
+        ...renderStatusChange(change, locale),
+        data: {
+          rideId: change.rideId,
+          rideName: change.rideName,
+          oldStatus: change.oldStatus,
+          newStatus: change.newStatus,
+          type: 'status_change',
+        },
+      })),
+      ...briefOutages.map(outage => ({
+        ...renderBriefOutage(outage, locale),
+        data: {
+          rideId: outage.rideId,
+          rideName: outage.rideName,
+          status: outage.status,
+          durationSec: outage.durationSec.toString(),
+          type: 'brief_outage',
+        },
+      })),
+    ];
+  }
+
+  return [{
+    ...renderSummary(statusChanges, briefOutages, locale),
+    data: {
+      type: 'status_change_summary',
+      count: count.toString(),
+    },
+  }];
+}
+
+function buildWaitNotification(alert, locale = DEFAULT_LOCALE) {
+  return {
+    ...renderWaitAlert(alert, locale),
+    data: {
+      rideId: alert.rideId,
+      rideName: alert.rideName,
+      direction: alert.direction,
+      threshold: alert.threshold.toString(),
+      waitTime: alert.waitTime.toString(),
+      type: 'wait_time',
+    },
+  };
+}
+
+function buildReturnTimeNotification(alert, locale = DEFAULT_LOCALE, subscription = null) {
+  const earlierThan = alert.kind === 'earlier' ? subscription?.earlierThan : null;
+  return {
+    ...renderReturnTimeAlert(alert, locale, earlierThan),
+    data: {
+      rideId: alert.rideId,
+      rideName: alert.rideName,
+      queue: alert.queue,
+      state: alert.newState,
+      ...(alert.returnStart && { returnStart: alert.returnStart }),
+      type: 'return_time',
+    },
+  };
+}
+
+function buildBoardingGroupNotification(alert, locale = DEFAULT_LOCALE, { registration, stage } = {}) {
+  return {
+    ...renderBoardingGroupAlert(alert, locale, registration, stage),
+    data: {
+      rideId: alert.rideId,
+      rideName: alert.rideName,
+      ...(stage
+        ? { group: registration.group.toString(), currentGroupEnd: alert.currentGroupEnd.toString(), stage }
+        : { allocationStatus: alert.allocationStatus || 'UNKNOWN' }),
+      type: alert.type,
+    },
+  };
+}
+
+/**
+ * Topic messages for clients that subscribe to FCM topics instead of registering:
+ * every status change and brief outage goes to park-<parkId> and ride-<rideId>, in English
+ */
+function buildTopicMessages({ statusChanges = [], briefOutages = [] }) {
+  const messages = [];
+  for (const change of statusChanges) {
+    const [notification] = buildStatusNotifications([change]);
+    messages.push(
+      { topic: `park-${change.parkId}`, ...notification },
+      { topic: `ride-${change.rideId}`, ...notification }
+    );
+  }
+  for (const outage of briefOutages) {
+    const [notification] = buildStatusNotifications([], [outage]);
+    messages.push(
+      { topic: `park-${outage.parkId}`, ...notification },
+      { topic: `ride-${outage.rideId}`, ...notification }
+    );
+  }
+  return messages;
+}
+
+/**
+ * Send each device only the status changes and brief outages it is subscribed to and
+ * hasn't muted, plus any wait time, return-time and boarding group alerts matching its own
+ * thresholds, subscriptions and registered groups.
+ * During a device's quiet hours its status changes are held for a catch-up summary instead.
+ * Notifications are rendered in the device's locale; devices that get identical
+ * notifications share multicast requests.
+ */
+async function notifySubscribers({ statusChanges = [], briefOutages = [], waitAlerts = [], returnTimeAlerts = [], boardingGroupAlerts = [] }, retry = NO_RETRY) {
+  if (!firebaseInitialized && !pushSink) {
+    logger.warn('Firebase not initialized, skipping push notification');
+    return { sent: 0, failed: 0, invalid: 0, devices: 0, held: 0 };
+  }
+
+  const devices = await getDeviceTokens();
+
+  // Group devices by notification content: { key: { title, body, data, tokens } }
+  const groups = new Map();
+  let notifiedDevices = 0;
+  const heldDevices = [];
+  const progressedDevices = [];
+
+  for (const device of devices) {
+    const { preferences } = device;
+    const changes = statusChanges.filter(change =>
+      isSubscribedTo(device, change) && !isStatusMuted(preferences, change.newStatus));
+    const outages = briefOutages.filter(outage =>
+      isSubscribedTo(device, outage) && !isStatusMuted(preferences, outage.status));
+    const alerts = waitAlerts.filter(alert => hasWaitThreshold(device, alert));
+    const returnTimes = returnTimeAlerts
+      .map(alert => ({ alert, subscription: matchReturnTimeSubscription(device, alert) }))
+      .filter(match => match.subscription);
+    const boardingGroups = boardingGroupAlerts
+      .map(alert => ({ alert, match: matchBoardingGroupAlert(device, alert) }))
+      .filter(({ match }) => match);
+    if (changes.length === 0 && outages.length === 0 && alerts.length === 0 &&
+      returnTimes.length === 0 && boardingGroups.length === 0) continue;
+
+    // Status changes and wait, return-time and allocation alerts are held for the catch-up summary.
+    // Brief outages are over by then, and boarding group progress isn't marked as notified, so it
+    // goes out on the first check after quiet hours
+    if (isInQuietHours(preferences)) {
+      const held = [
+        ...alerts.map(alert => ({ type: 'wait_time', alert })),
+        ...returnTimes.map(({ alert, subscription }) => ({
+          type: 'return_time',
+          alert,
+          earlierThan: alert.kind === 'earlier' ? subscription.earlierThan : null,
+        })),
+        ...boardingGroups.filter(({ match }) => !match.stage).map(({ alert }) => ({ type: 'boarding_allocation', alert })),
+      ];
+      if (changes.length > 0 || held.length > 0) heldDevices.push({ device, changes, alerts: held });
+      continue;
+    }
+
+    const locale = resolveLocale(device.locale);
+    const notifications = [
+      ...buildStatusNotifications(changes, outages, locale),
+      ...alerts.map(alert => buildWaitNotification(alert, locale)),
+      ...returnTimes.map(({ alert, subscription }) => buildReturnTimeNotification(alert, locale, subscription)),
+      ...boardingGroups.map(({ alert, match }) => buildBoardingGroupNotification(alert, locale, match)),
+    ];
+
+    const progressed = boardingGroups.filter(({ match }) => match.stage);
+    if (progressed.length > 0) progressedDevices.push({ device, progressed });
+
+    notifiedDevices++;
+    for (const notification of notifications) {
+      const key = JSON.stringify([notification.title, notification.body, notification.data]);
+      if (!groups.has(key)) groups.set(key, { ...notification, tokens: [] });
+      groups.get(key).tokens.push(device.token);
+    }
+  }
+
+  await holdForQuietHours(heldDevices);
+  await recordBoardingGroupProgress(progressedDevices);
+
+  const messages = [...groups.values()];
+  if (config.fcmTopics) {
+    messages.push(...buildTopicMessages({ statusChanges, briefOutages }));
+  }
+
+  if (messages.length === 0) {
+    logger.info(heldDevices.length > 0
+      ? `Held notifications for ${heldDevices.length} device(s) in quiet hours`
+      : 'No registered devices for push notifications');
+    return { sent: 0, failed: 0, invalid: 0, devices: 0, held: heldDevices.length };
+  }
+
+  const result = await sendPushNotifications(messages, retry);
+
+  logger.info(`Notified ${notifiedDevices} of ${devices.length} device(s) about ${statusChanges.length} change(s), ${briefOutages.length} brief outage(s), ${waitAlerts.length} wait alert(s), ${returnTimeAlerts.length} return-time alert(s) and ${boardingGroupAlerts.length} boarding group alert(s)`, { heldDevices: heldDevices.length });
+  return { ...result, devices: notifiedDevices, held: heldDevices.length };
+}
+
+/**
+ * Key for a held alert: a later alert about the same threshold, queue, virtual queue or showtime replaces it
+ */
+function getHeldAlertKey({ type, alert }) {
+  if (type === 'show') return `show:${alert.showId}:${alert.startTime}`;
+  if (type === 'wait_time') return `wait_time:${alert.rideId}:${waitThresholdKey(alert.direction, alert.threshold)}`;
+  if (type === 'return_time') return `return_time:${alert.rideId}:${alert.queue}`;
+  return `boarding_allocation:${alert.rideId}`;
+}
+
+/**
+ * Check a held alert still describes the ride now, so the catch-up doesn't report
+ * a wait, return time or virtual queue state that has since reverted, or a showtime that has passed
+ */
+function isHeldAlertCurrent({ type, alert }) {
+  if (type === 'show') return Date.parse(alert.newStartTime || alert.startTime) > clock.now();
+  const current = statusCache.get(alert.rideId);
+  if (type === 'wait_time') return current?.waitAlerts?.[waitThresholdKey(alert.direction, alert.threshold)] === true;
+  if (type === 'return_time') return current?.returnTimes?.[alert.queue]?.state === alert.newState;
+  return current?.boardingGroup?.allocationStatus === alert.allocationStatus;
+}
+
+/**
+ * Fold status changes into each device's held changes, one entry per ride:
+ * the status before quiet hours started and the latest one. Other alerts are
+ * kept latest-first per getHeldAlertKey in heldAlerts.
+ * Held changes live on the device document so any instance can deliver the catch-up.
+ */
+async function holdForQuietHours(heldDevices) {
+  await Promise.all(heldDevices.map(async ({ device, changes, alerts = [] }) => {
+    const heldAlerts = { ...device.heldAlerts };
+    for (const held of alerts) {
+      // Round-trip through JSON so undefined fields (e.g. a missing timezone) don't reach Firestore
+      heldAlerts[getHeldAlertKey(held)] = JSON.parse(JSON.stringify({ ...held, heldSince: nowIso() }));
+    }
+
+    const heldChanges = { ...device.heldChanges };
+    for (const change of changes) {
+      const held = heldChanges[change.rideId];
+      heldChanges[change.rideId] = {
+        rideId: change.rideId,
+        rideName: change.rideName,
+        parkId: change.parkId,
+        parkName: change.parkName || null,
+        oldStatus: held ? held.oldStatus : change.oldStatus,
+        newStatus: change.newStatus,
+        heldSince: held ? held.heldSince : nowIso(),
+      };
+    }
+
+    // Keep the cached copy current so later checks fold into it without a reload
+    device.heldChanges = heldChanges;
+    device.heldAlerts = heldAlerts;
+    try {
+      await storage.updateDevice(device.token, { heldChanges, heldAlerts });
+    } catch (error) {
+      logger.error(`Failed to hold notifications for ${redactToken(device.token)}:`, error.message);
+    }
+  }));
+}
+
+/**
+ * Remember which boarding group stages each device was notified about, so every
+ * stage is sent once per registered group
+ */
+async function recordBoardingGroupProgress(progressedDevices) {
+  await Promise.all(progressedDevices.map(async ({ device, progressed }) => {
+    const boardingGroups = { ...device.boardingGroups };
+    for (const { alert, match } of progressed) {
+      // Being called covers the approaching alert too
+      const notified = match.stage === 'called' ? ['approaching', 'called'] : ['approaching'];
+      boardingGroups[alert.rideId] = { ...match.registration, notified };
+    }
+
+    // Keep the cached copy current so the next check doesn't send the same stage again
+    device.boardingGroups = boardingGroups;
+    try {
+      await storage.updateDevice(device.token, { boardingGroups });
+    } catch (error) {
+      logger.error(`Failed to record boarding group progress for ${redactToken(device.token)}:`, error.message);
+    }
+  }));
+}
+
+/**
+ * Send one catch-up summary to every device whose quiet hours have ended and clear what it held.
+ * Each ride is summarized from its status before quiet hours to its status now, and rides
+ * that ended up back where they started are left out, as are held alerts that no longer hold.
+ */
+async function deliverCatchUpSummaries(retry = NO_RETRY) {
+  if (!firebaseInitialized && !pushSink) return { sent: 0, failed: 0, invalid: 0, devices: 0 };
+
+  const hasHeld = device => Object.keys(device.heldChanges || {}).length > 0 ||
+    Object.keys(device.heldAlerts || {}).length > 0;
+  const due = (await getDeviceTokens()).filter(device => hasHeld(device) && !isInQuietHours(device.preferences));
+  if (due.length === 0) return { sent: 0, failed: 0, invalid: 0, devices: 0 };
+
+  const groups = new Map();
+  for (const device of due) {
+    // Clear first, so a failed send doesn't repeat the summary on every check
+    const changes = Object.values(device.heldChanges)
+      .map(change => ({ ...change, newStatus: statusCache.get(change.rideId)?.status ?? change.newStatus }))
+      .filter(change => change.oldStatus !== change.newStatus);
+    const heldAlerts = Object.values(device.heldAlerts || {}).filter(isHeldAlertCurrent);
+    device.heldChanges = {};
+    device.heldAlerts = {};
+    try {
+      await storage.updateDevice(device.token, { heldChanges: {}, heldAlerts: {} });
+    } catch (error) {
+      logger.error(`Failed to clear held notifications for ${redactToken(device.token)}:`, error.message);
+    }
+    if (changes.length === 0 && heldAlerts.length === 0) continue;
+
+    const notification = {
+      ...renderCatchUpSummary(changes, resolveLocale(device.locale), heldAlerts),
+      data: {
+        type: 'quiet_hours_summary',
+        count: (changes.length + heldAlerts.length).toString(),
+      },
+    };
+    const key = JSON.stringify([notification.title, notification.body]);
+    if (!groups.has(key)) groups.set(key, { ...notification, tokens: [] });
+    groups.get(key).tokens.push(device.token);
+  }
+
+  if (groups.size === 0) return { sent: 0, failed: 0, invalid: 0, devices: 0 };
+
+  const messages = [...groups.values()];
+  const summarized = messages.reduce((sum, message) => sum + message.tokens.length, 0);
+  const result = await sendPushNotifications(messages, retry);
+  logger.info(`Sent quiet hours catch-up summaries to ${summarized} device(s)`);
+  return { ...result, devices: summarized };
+}
+
+// Show alert keys this instance has already claimed or seen claimed: key -> expiresAt (ms)
+const claimedShowAlerts = new Map();
+
+/**
+ * Claim a show alert in storage, unless this instance already knows it's taken.
+ * A reminder stays due for several checks in a row, so without this every check would
+ * hit storage (a failing Firestore create()) for every showtime in the reminder window.
+ */
+async function claimShowAlert(key, expiresAt) {
+  const now = clock.now();
+  for (const [claimedKey, claimedUntil] of claimedShowAlerts) {
+    if (claimedUntil <= now) claimedShowAlerts.delete(claimedKey);
+  }
+  if (claimedShowAlerts.has(key)) return false;
+
+  const claimed = await storage.claimNotification(key, expiresAt);
+  claimedShowAlerts.set(key, expiresAt);
+  return claimed;
+}
+
+/**
+ * Send show reminders, cancellations and delays to the devices subscribed to each show.
+ * Every alert is claimed in storage first, so it goes out once even when several
+ * instances or overlapping checks see it. Devices in quiet hours get them in their
+ * catch-up summary instead, if the showtime is still ahead by then.
+ */
+async function notifyShowSubscribers(showAlerts, retry = NO_RETRY) {
+  if (!firebaseInitialized && !pushSink) {
+    logger.warn('Firebase not initialized, skipping show alerts');
+    return { sent: 0, failed: 0, invalid: 0, announced: 0, held: 0 };
+  }
+
+  const devices = await getDeviceTokens();
+  const groups = new Map();
+  const heldDevices = new Map();
+  let announced = 0;
+
+  for (const alert of showAlerts) {
+    const key = getShowAlertKey(alert);
+    const expiresAt = Date.parse(alert.newStartTime || alert.startTime) + 24 * 60 * 60 * 1000;
+    if (!(await claimShowAlert(key, expiresAt))) {
+      logger.debug(`Show alert already sent: ${key}`);
+      continue;
+    }
+    announced++;
+    logger.info(`Show alert: ${alert.type} for ${alert.showName} at ${alert.startTime}`, {
+      parkId: alert.parkId,
+      showId: alert.showId,
+      type: alert.type,
+    });
+
+    for (const device of devices) {
+      const subscription = device.showSubscriptions?.[alert.showId];
+      if (!subscription) continue;
+      if (alert.type === 'show_reminder' && subscription.reminderMin !== alert.reminderMin) continue;
+      if (isInQuietHours(device.preferences)) {
+        if (!heldDevices.has(device.token)) heldDevices.set(device.token, { device, changes: [], alerts: [] });
+        heldDevices.get(device.token).alerts.push({ type: 'show', alert });
+        continue;
+      }
+
+      const notification = buildShowNotification(alert, resolveLocale(device.locale));
+      const groupKey = JSON.stringify([notification.title, notification.body, notification.data]);
+      if (!groups.has(groupKey)) groups.set(groupKey, { ...notification, tokens: [] });
+      groups.get(groupKey).tokens.push(device.token);
+    }
+  }
+
+  await holdForQuietHours([...heldDevices.values()]);
+  if (groups.size === 0) return { sent: 0, failed: 0, invalid: 0, announced, held: heldDevices.size };
+
+  const result = await sendPushNotifications([...groups.values()], retry);
+  return { ...result, announced, held: heldDevices.size };
+}
+
+function buildShowNotification(alert, locale = DEFAULT_LOCALE) {
+  return {
+    ...renderShowAlert(alert, locale),
+    data: {
+      showId: alert.showId,
+      showName: alert.showName,
+      startTime: alert.startTime,
+      ...(alert.newStartTime && { newStartTime: alert.newStartTime }),
+      type: alert.type,
+    },
+  };
+}
+
+// ============================================
+// NOTIFICATION CHANNELS
+// ============================================
+
+const NO_RETRY = { attempts: 1, backoffMs: 0 };
+const DEFAULT_RETRY = { attempts: 3, backoffMs: 1000 };
+const CHANNEL_REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Run fn, retrying with exponential backoff per the retry policy.
+ * A policy with a deadline (epoch ms) starts no retry that would wait past it.
+ * @param {() => Promise<any>} fn
+ * @param {{ attempts: number, backoffMs: number, deadline?: number }} retry
+ * @param {{ label?: string, shouldRetry?: (error: Error) => boolean }} options
+ */
+async function withRetry(fn, retry, { label = 'request', shouldRetry = () => true, getDelayMs = null } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retry.attempts || !shouldRetry(error)) throw error;
+      const delayMs = getDelayMs?.(error, attempt) ?? retry.backoffMs * 2 ** (attempt - 1);
+      if (retry.deadline && Date.now() + delayMs >= retry.deadline) throw error;
+      logger.warn(`Retrying ${label} in ${delayMs}ms (attempt ${attempt}/${retry.attempts} failed: ${error.message})`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+async function postJson(url, payload, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof payload === 'string' ? payload : JSON.stringify(payload),
+    signal: AbortSignal.timeout(CHANNEL_REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Keep only the alerts a channel's filters allow
+ * filters: { parks?: string[], rides?: string[], statuses?: string[], types?: string[] }
+ */
+function filterAlerts({ statusChanges = [], briefOutages = [], waitAlerts = [], returnTimeAlerts = [], boardingGroupAlerts = [] }, filters = {}) {
+  const matches = (alert, type, status) =>
+    (!filters.types || filters.types.includes(type)) &&
+    (!filters.parks || filters.parks.includes(alert.parkId)) &&
+    (!filters.rides || filters.rides.includes(alert.rideId)) &&
+    (!filters.statuses || status === undefined || filters.statuses.includes(status));
+
+  return {
+    statusChanges: statusChanges.filter(change => matches(change, 'status_change', change.newStatus)),
+    briefOutages: briefOutages.filter(outage => matches(outage, 'brief_outage', outage.status)),
+    waitAlerts: waitAlerts.filter(alert => matches(alert, 'wait_time')),
+    returnTimeAlerts: returnTimeAlerts.filter(alert => matches(alert, 'return_time')),
+    boardingGroupAlerts: boardingGroupAlerts.filter(alert => matches(alert, 'boarding_group')),
+  };
+}
+
+function countAlerts({ statusChanges = [], briefOutages = [], waitAlerts = [], returnTimeAlerts = [], boardingGroupAlerts = [] }) {
+  return statusChanges.length + briefOutages.length + waitAlerts.length + returnTimeAlerts.length + boardingGroupAlerts.length;
+}
+
+/**
+ * Notifications for channels that aren't tied to a device.
+ * Wait alerts come from per-device thresholds, so only FCM delivers them.
+ */
+function buildChannelNotifications({ statusChanges = [], briefOutages = [] }, locale = DEFAULT_LOCALE) {
+  if (statusChanges.length === 0 && briefOutages.length === 0) return [];
+  return buildStatusNotifications(statusChanges, briefOutages, locale);
+}
+
+/**
+ * Generic JSON webhook, signed with HMAC-SHA256 when a secret is configured.
+ * Signature header is sha256=HMAC(secret, "<timestamp>.<body>").
+ */
+async function sendWebhook(channel, alerts, retry) {
+  const timestamp = nowIso();
+  const body = JSON.stringify({
+    type: 'ride_watch.alerts',
+    timestamp,
+    statusChanges: alerts.statusChanges,
+    briefOutages: alerts.briefOutages,
+    notifications: buildChannelNotifications(alerts, channel.locale),
+  });
+
+  const headers = { 'X-Ride-Watch-Timestamp': timestamp };
+  if (channel.secret) {
+    const signature = createHmac('sha256', channel.secret).update(`${timestamp}.${body}`).digest('hex');
+    headers['X-Ride-Watch-Signature'] = `sha256=${signature}`;
+  }
+
+  await withRetry(() => postJson(channel.url, body, headers), retry, { label: `webhook ${channel.name}` });
+  return { sent: 1, failed: 0 };
+}
+
+/**
+ * Slack and Discord incoming webhooks: one chat message per notification
+ */
+async function sendChatWebhook(channel, alerts, retry) {
+  let sent = 0;
+  let failed = 0;
+
+  for (const { title, body } of buildChannelNotifications(alerts, channel.locale)) {
+    const payload = channel.type === 'slack'
+      ? { text: `*${title}*\n${body}` }
+      : { content: `**${title}**\n${body}` };
+    try {
+      await withRetry(() => postJson(channel.url, payload), retry, { label: `${channel.type} ${channel.name}` });
+      sent++;
+    } catch (error) {
+      failed++;
+      logger.error(`Failed to post to ${channel.type} channel ${channel.name}:`, error.message);
+    }
+  }
+
+  return { sent, failed };
+}
+
+/**
+ * SMTP email: one message per check listing every notification
+ */
+async function sendEmail(channel, alerts, retry) {
+  const notifications = buildChannelNotifications(alerts, channel.locale);
+  if (notifications.length === 0) return { sent: 0, failed: 0 };
+
+  const subject = notifications.length === 1 ? notifications[0].title : `${notifications.length} ride-watch updates`;
+  const text = notifications.map(({ title, body }) => `${title}\n${body}`).join('\n\n');
+
+  await withRetry(
+    () => channel.transport.sendMail({ from: channel.from, to: channel.to, subject, text }),
+    retry,
+    { label: `email ${channel.name}` }
+  );
+  return { sent: 1, failed: 0 };
+}
+
+/**
+ * Create a notification channel from its config entry
+ * send(alerts, retry) uses the channel's retry policy unless given another
+ * @param {{ type: string, name?: string, filters?: object, retry?: object }} channelConfig
+ */
+function createChannel(channelConfig) {
+  const { type } = channelConfig;
+  const channel = {
+    ...channelConfig,
+    name: channelConfig.name || type,
+    filters: channelConfig.filters || {},
+    retry: { ...DEFAULT_RETRY, ...channelConfig.retry },
+  };
+
+  switch (type) {
+    case 'fcm':
+      return { ...channel, send: (alerts, retry = channel.retry) => notifySubscribers(alerts, retry) };
+    case 'webhook':
+      if (!channel.url) throw new Error('webhook channel requires url');
+      return { ...channel, send: (alerts, retry = channel.retry) => sendWebhook(channel, alerts, retry) };
+    case 'slack':
+    case 'discord':
+      if (!channel.url) throw new Error(`${type} channel requires url`);
+      return { ...channel, send: (alerts, retry = channel.retry) => sendChatWebhook(channel, alerts, retry) };
+    case 'email':
+      if (!channel.smtp?.host || !channel.to) throw new Error('email channel requires smtp.host and to');
+      channel.transport = nodemailer.createTransport(channel.smtp);
+      return { ...channel, send: (alerts, retry = channel.retry) => sendEmail(channel, alerts, retry) };
+    default:
+      throw new Error(`Unknown notification channel type: ${type}`);
+  }
+}
+
+/**
+ * Load channels from NOTIFICATION_CHANNELS (JSON) or NOTIFICATION_CHANNELS_FILE.
+ * FCM is always included unless configured explicitly.
+ */
+function loadNotificationChannels() {
+  let channelConfigs = [];
+  try {
+    const raw = config.notificationChannelsFile
+      ? readFileSync(config.notificationChannelsFile, 'utf8')
+      : config.notificationChannels;
+    if (raw) channelConfigs = JSON.parse(raw);
+    if (!Array.isArray(channelConfigs)) throw new Error('expected a JSON array');
+  } catch (error) {
+    logger.error('Invalid notification channel config:', error.message);
+    channelConfigs = [];
+  }
+
+  if (!channelConfigs.some(channelConfig => channelConfig.type === 'fcm')) {
+    channelConfigs.unshift({ type: 'fcm', retry: NO_RETRY });
+  }
+
+  const channels = [];
+  for (const channelConfig of channelConfigs) {
+    try {
+      channels.push(createChannel(channelConfig));
+    } catch (error) {
+      logger.error(`Skipping notification channel ${channelConfig.name || channelConfig.type}:`, error.message);
+    }
+  }
+  return channels;
+}
+
+let notificationChannels = loadNotificationChannels();
+
+/**
+ * Reject once the deadline passes if promise hasn't settled by then
+ */
+function settleBy(promise, deadline) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`still sending after ${config.channelBudgetSec}s, finishing in the background`)),
+      Math.max(0, deadline - Date.now())
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Deliver a check's alerts through every channel at once, each with its own filters.
+ * Channels share a CHANNEL_BUDGET_SEC budget: no retry starts after it, and a channel
+ * still sending when it runs out is reported as failed so one slow endpoint can't stall the check.
+ * Returns results keyed by channel name
+ */
+async function dispatchNotifications(alerts) {
+  const deadline = Date.now() + config.channelBudgetSec * 1000;
+  const deliveries = [];
+
+  for (const channel of notificationChannels) {
+    // Return-time and boarding group alerts follow device subscriptions, so only push delivers them
+    const channelAlerts = channel.type === 'fcm' ? alerts : { ...alerts, returnTimeAlerts: [], boardingGroupAlerts: [] };
+    const filtered = filterAlerts(channelAlerts, channel.filters);
+    if (countAlerts(filtered) === 0) continue;
+
+    deliveries.push([channel, settleBy(channel.send(filtered, { ...channel.retry, deadline }), deadline)]);
+  }
+
+  const settled = await Promise.allSettled(deliveries.map(([, delivery]) => delivery));
+  const results = {};
+  settled.forEach(({ status, value, reason }, index) => {
+    const [channel] = deliveries[index];
+    if (status === 'fulfilled') {
+      results[channel.name] = value;
+    } else {
+      logger.error(`Notification channel ${channel.name} failed:`, reason.message);
+      results[channel.name] = { sent: 0, failed: 1, error: reason.message };
+    }
+  });
+
+  return results;
+}
+
+// ============================================
+// BEDTIME LOGIC
+// ============================================
+
+/**
+ * Get current hour in the configured timezone
+ */
+function getCurrentHourInTimezone() {
+  const now = new Date();
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: config.bedtimeTimezone,
+    hour: 'numeric',
+    hour12: false,
+  });
+  return parseInt(formatter.format(now), 10);
+}
+
+/**
+ * Check if we're currently in bedtime hours
+ */
+function isBedtime() {
+  if (!config.bedtimeEnabled) return false;
+
+  const currentHour = getCurrentHourInTimezone();
+  const { bedtimeStart, bedtimeEnd } = config;
+
+  // Handle overnight bedtime (e.g., 1am to 7am)
+  if (bedtimeStart < bedtimeEnd) {
+    return currentHour >= bedtimeStart && currentHour < bedtimeEnd;
+  }
+  // Handle cross-midnight bedtime (e.g., 11pm to 7am)
+  return currentHour >= bedtimeStart || currentHour < bedtimeEnd;
+}
+
+/**
+ * Calculate seconds until bedtime ends
+ */
+function getSecondsUntilBedtimeEnds() {
+  const now = new Date();
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: config.bedtimeTimezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false,
+  });
+
+  // Parse current time in the target timezone
+  const parts = formatter.formatToParts(now);
+  const getPart = (type) => parseInt(parts.find(p => p.type === type)?.value || '0', 10);
+
+  const currentHour = getPart('hour');
+  const currentMinute = getPart('minute');
+  const currentSecond = getPart('second');
+
+  // Calculate seconds until bedtime end hour
+  let hoursUntilEnd;
+  if (currentHour < config.bedtimeEnd) {
+    hoursUntilEnd = config.bedtimeEnd - currentHour;
+  } else {
+    // We're past bedtime end, so it ends tomorrow
+    hoursUntilEnd = 24 - currentHour + config.bedtimeEnd;
+  }
+
+  // Convert to seconds, subtracting current minutes and seconds
+  const secondsUntilEnd = (hoursUntilEnd * 3600) - (currentMinute * 60) - currentSecond;
+
+  // Add a small buffer to ensure we're past the bedtime end
+  return Math.max(secondsUntilEnd + 60, 60);
+}
+
+// ============================================
+// PARK HOURS
+// ============================================
+
+// Schedule entry types during which rides run (regular hours, early entry / extended evenings, ticketed events)
+const POLLING_SCHEDULE_TYPES = new Set(['OPERATING', 'EXTRA_HOURS', 'TICKETED_EVENT']);
+
+// Cache for park schedules: { parkId: { timezone, windows: [{ type, start, end }], loadedAt } }
+const scheduleCache = new Map();
+const SCHEDULE_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // Refresh schedules once a day
+const SCHEDULE_RETRY_MS = 15 * 60 * 1000; // Wait this long before retrying a failed schedule fetch
+const scheduleFailures = new Map(); // parkId -> time of the last failed fetch
+
+/**
+ * Load operating windows for every configured park (cached daily).
+ * Parks whose schedule can't be fetched fall back to the global bedtime hours.
+ */
+async function refreshParkSchedules() {
+  if (!config.parkHoursEnabled) return;
+
+  const now = Date.now();
+  for (const parkId of config.parkIds) {
+    const cached = scheduleCache.get(parkId);
+    if (cached && (now - cached.loadedAt) < SCHEDULE_CACHE_TTL_MS) continue;
+    if ((now - (scheduleFailures.get(parkId) || 0)) < SCHEDULE_RETRY_MS) continue;
+
+    try {
+      const data = await fetchParkSchedule(parkId);
+      const windows = (data.schedule || [])
+        .filter(entry => POLLING_SCHEDULE_TYPES.has(entry.type) && entry.openingTime && entry.closingTime)
+        .map(entry => ({
+          type: entry.type,
+          start: Date.parse(entry.openingTime),
+          end: Date.parse(entry.closingTime),
+        }))
+        .filter(window => !Number.isNaN(window.start) && !Number.isNaN(window.end))
+        .sort((a, b) => a.start - b.start);
+
+      scheduleCache.set(parkId, { timezone: data.timezone || null, windows, loadedAt: now });
+      scheduleFailures.delete(parkId);
+      logger.info(`Schedule cached for park ${parkId}: ${windows.length} window(s) (${data.timezone})`);
+    } catch (error) {
+      // Keep a stale schedule if we have one, otherwise the bedtime fallback applies
+      logger.warn(`Failed to load schedule for park ${parkId}:`, error.message);
+      scheduleFailures.set(parkId, now);
+    }
+  }
+}
+
+/**
+ * Get the cached operating windows for a park, or null if the bedtime fallback applies
+ */
+function getParkWindows(parkId) {
+  if (!config.parkHoursEnabled) return null;
+  const schedule = scheduleCache.get(parkId);
+  return schedule?.windows.length > 0 ? schedule.windows : null;
+}
+
+/**
+ * Check if a park should be polled: inside one of its operating windows
+ * (widened by PARK_HOURS_BUFFER_MIN), or outside bedtime when there's no schedule
+ */
+function isParkOpen(parkId, nowMs = clock.now()) {
+  const windows = getParkWindows(parkId);
+  if (!windows) return !isBedtime();
+
+  const buffer = config.parkHoursBufferMin * 60 * 1000;
+  return windows.some(window => nowMs >= window.start - buffer && nowMs < window.end + buffer);
+}
+
+/**
+ * Get when polling should resume for a closed park (ms timestamp)
+ */
+function getNextParkOpening(parkId, nowMs = clock.now()) {
+  const windows = getParkWindows(parkId);
+  const buffer = config.parkHoursBufferMin * 60 * 1000;
+  const next = windows?.find(window => window.start - buffer > nowMs);
+  if (next) return next.start - buffer;
+
+  // No schedule (or none beyond what's cached) - use the bedtime hours
+  return isBedtime() ? nowMs + getSecondsUntilBedtimeEnds() * 1000 : nowMs;
+}
+
+/**
+ * Get when a park's current operating window closes (ms timestamp), or null without a schedule
+ */
+function getParkClosingTime(parkId, nowMs = clock.now()) {
+  const windows = getParkWindows(parkId);
+  const buffer = config.parkHoursBufferMin * 60 * 1000;
+  const current = windows?.find(window => nowMs >= window.start - buffer && nowMs < window.end + buffer);
+  return current ? current.end : null;
+}
+
+/**
+ * Determine which parks to poll right now
+ * Returns { sleeping, openParks, wakeAt } - wakeAt is the earliest next opening when sleeping
+ */
+function getPollingState(nowMs = clock.now()) {
+  const openParks = config.parkIds.filter(parkId => isParkOpen(parkId, nowMs));
+  if (openParks.length > 0 || config.parkIds.length === 0) {
+    return { sleeping: false, openParks, wakeAt: null };
+  }
+
+  const wakeAt = Math.min(...config.parkIds.map(parkId => getNextParkOpening(parkId, nowMs)));
+  return { sleeping: true, openParks, wakeAt };
+}
+
+// ============================================
+// PARK CATALOG
+// ============================================
+
+// Park names and rides from ThemeParks Wiki entity metadata:
+// { parkId: { park: { id, name, timezone }, rides: Map<rideId, { id, name, land }>, loadedAt } }
+const catalogCache = new Map();
+const CATALOG_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // Names and lands rarely change, refresh daily
+const CATALOG_RETRY_MS = 15 * 60 * 1000;
+const catalogFailures = new Map(); // parkId -> time of the last failed load
+
+/**
+ * Get a park's catalog, loading it from ThemeParks Wiki when missing or older than a day.
+ * Returns a stale catalog (or null) if the load fails.
+ */
+async function getParkCatalog(parkId) {
+  const now = Date.now();
+  const cached = catalogCache.get(parkId);
+  if (cached && (now - cached.loadedAt) < CATALOG_CACHE_TTL_MS) return cached;
+  if ((now - (catalogFailures.get(parkId) || 0)) < CATALOG_RETRY_MS) return cached || null;
+
+  try {
+    const [park, { children = [] }] = await Promise.all([
+      fetchEntity(parkId),
+      fetchApiJson(`${API_BASE}/entity/${parkId}/children`, 'park children'),
+    ]);
+
+    // Attractions parented to an area rather than the park itself take that area's name as their land
+    const entities = new Map(children.map(child => [child.id, child]));
+    const rides = new Map(children
+      .filter(child => child.entityType === 'ATTRACTION')
+      .map(child => [child.id, {
+        id: child.id,
+        name: child.name,
+        land: child.parentId && child.parentId !== parkId ? entities.get(child.parentId)?.name || null : null,
+      }]));
+
+    const catalog = { park: { id: parkId, name: park.name, timezone: park.timezone || null }, rides, loadedAt: now };
+    catalogCache.set(parkId, catalog);
+    catalogFailures.delete(parkId);
+    logger.info(`Catalog cached for park ${park.name}: ${rides.size} ride(s)`);
+    return catalog;
+  } catch (error) {
+    logger.warn(`Failed to load catalog for park ${parkId}:`, error.message);
+    catalogFailures.set(parkId, now);
+    return cached || null;
+  }
+}
+
+/**
+ * Find which monitored park a ride belongs to
+ */
+async function findRideInCatalog(rideId) {
+  for (const parkId of config.parkIds) {
+    const catalog = await getParkCatalog(parkId);
+    const ride = catalog?.rides.get(rideId);
+    if (ride) return { parkId, ride };
+  }
+  return null;
+}
+
+/**
+ * A ride's catalog entry merged with its live state from statusCache.
+ * Fields that move on every check are added by withLiveFields, so the view (and its ETag)
+ * only changes when the ride does.
+ */
+function buildRideView(rideId, parkId, catalogRide) {
+  const cached = statusCache.get(rideId);
+  const name = catalogRide?.name || cached?.rideName || null;
+  return {
+    id: rideId,
+    name,
+    parkId,
+    land: catalogRide?.land || null,
+    monitored: name ? shouldMonitorRide(name) : false,
+    status: cached?.status || null,
+    waitTime: cached?.waitTime ?? null,
+    statusSince: cached?.statusSince || null,
+  };
+}
+
+function withLiveFields(ride, nowMs = clock.now()) {
+  return {
+    ...ride,
+    timeInStateSec: ride.statusSince ? Math.round((nowMs - Date.parse(ride.statusSince)) / 1000) : null,
+    updatedAt: statusCache.get(ride.id)?.updatedAt || null,
+  };
+}
+
+/**
+ * Send a catalog response with an ETag over `etagSource`, answering 304 when it matches If-None-Match.
+ * The tag is weak because the body may add live fields (see withLiveFields) that it doesn't cover.
+ */
+function sendWithEtag(req, res, etagSource, body) {
+  const opaque = `"${createHash('sha1').update(JSON.stringify(etagSource)).digest('base64url')}"`;
+  res.set('ETag', `W/${opaque}`);
+  res.set('Cache-Control', 'no-cache');
+
+  const ifNoneMatch = req.get('if-none-match');
+  if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === opaque)) {
+    return res.status(304).end();
+  }
+  res.status(200).json(body);
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function shouldMonitorRide(rideName) {
+  if (config.watchedRides.length === 0) return true;
+  return config.watchedRides.some(watched =>
+    rideName.toLowerCase().includes(watched.toLowerCase().trim())
+  );
+}
+
+function isDownStatus(status) {
+  return DOWN_STATUSES.has(status);
+}
+
+/**
+ * Format a duration in seconds as e.g. "45s", "3m" or "1h 5m"
+ */
+function formatDuration(seconds) {
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+// ============================================
+// FLAP SUPPRESSION
+// ============================================
+
+/**
+ * Get the confirmation policy for a transition into `status`
+ */
+function getConfirmPolicy(status) {
+  return isDownStatus(status)
+    ? { checks: config.downConfirmChecks, seconds: config.downConfirmSec }
+    : { checks: config.upConfirmChecks, seconds: config.upConfirmSec };
+}
+
+/**
+ * Apply the confirmation policy to an observed status.
+ * A new status only replaces the confirmed one once it's been seen for enough
+ * consecutive checks and long enough; until then it's tracked as `pending`.
+ * If a pending down status reverts before it's confirmed, it's reported as a brief outage.
+ * A newly confirmed status comes with `since`, when it was first observed.
+ * @returns {{ status: string, pending: object|null, briefOutage: object|null, since?: string }}
+ */
+function confirmStatus(previousData, observedStatus, nowMs = clock.now()) {
+  // First sighting of a ride is confirmed immediately (nothing to notify about)
+  if (!previousData) {
+    return { status: observedStatus, pending: null, briefOutage: null };
+  }
+
+  const confirmed = previousData.status;
+  const pending = previousData.pending || null;
+
+  if (observedStatus === confirmed) {
+    const briefOutage = pending && isDownStatus(pending.status) && !isDownStatus(confirmed)
+      ? { status: pending.status, durationSec: Math.round((nowMs - Date.parse(pending.since)) / 1000) }
+      : null;
+    return { status: confirmed, pending: null, briefOutage };
+  }
+
+  const next = pending?.status === observedStatus
+    ? { ...pending, checks: pending.checks + 1 }
+    : { status: observedStatus, since: new Date(nowMs).toISOString(), checks: 1 };
+
+  const policy = getConfirmPolicy(observedStatus);
+  const elapsedSec = (nowMs - Date.parse(next.since)) / 1000;
+  if (next.checks >= policy.checks && elapsedSec >= policy.seconds) {
+    return { status: observedStatus, pending: null, briefOutage: null, since: next.since };
+  }
+
+  return { status: confirmed, pending: next, briefOutage: null };
+}
+
+// ============================================
+// WAIT TIME ALERTS
+// ============================================
+
+/**
+ * Key identifying a threshold, shared by every device that uses it (e.g. "below:20")
+ */
+function waitThresholdKey(direction, threshold) {
+  return `${direction}:${threshold}`;
+}
+
+function hasWaitThreshold(device, alert) {
+  return device.waitThresholds?.[alert.rideId]?.[alert.direction] === alert.threshold;
+}
+
+/**
+ * Collect every threshold any device has set, keyed by ride ID
+ * Returns Map<rideId, Set<thresholdKey>>
+ */
+function collectWaitThresholds(devices) {
+  const thresholdsByRide = new Map();
+  for (const device of devices) {
+    for (const [rideId, thresholds] of Object.entries(device.waitThresholds || {})) {
+      for (const direction of ['below', 'above']) {
+        if (typeof thresholds?.[direction] !== 'number') continue;
+        if (!thresholdsByRide.has(rideId)) thresholdsByRide.set(rideId, new Set());
+        thresholdsByRide.get(rideId).add(waitThresholdKey(direction, thresholds[direction]));
+      }
+    }
+  }
+  return thresholdsByRide;
+}
+
+/**
+ * Decide whether a threshold condition is active, with hysteresis.
+ * "below 20" activates under 20 minutes and only clears again at 20 + WAIT_HYSTERESIS_MIN,
+ * so a wait bouncing around the threshold doesn't re-notify.
+ */
+function isWaitThresholdActive(direction, threshold, waitTime, wasActive) {
+  const margin = config.waitHysteresisMin;
+  if (direction === 'below') {
+    if (waitTime < threshold) return true;
+    if (waitTime >= threshold + margin) return false;
+  } else {
+    if (waitTime > threshold) return true;
+    if (waitTime <= threshold - margin) return false;
+  }
+  return wasActive;
+}
+
+/**
+ * Evaluate a ride's wait time against every threshold set for it
+ * Returns { waitAlerts, triggered } where waitAlerts is the new { thresholdKey: active } state
+ * to store with the ride and triggered lists thresholds that just became active
+ */
+function evaluateWaitThresholds(thresholdKeys, waitTime, status, previousAlerts = {}) {
+  const waitAlerts = {};
+  const triggered = [];
+
+  for (const key of thresholdKeys) {
+    const [direction, value] = key.split(':');
+    const threshold = Number(value);
+    const wasActive = previousAlerts[key];
+
+    // Keep the last known state while the ride isn't reporting a wait
+    if (waitTime === null || status !== 'OPERATING') {
+      if (wasActive !== undefined) waitAlerts[key] = wasActive;
+      continue;
+    }
+
+    const isActive = isWaitThresholdActive(direction, threshold, waitTime, wasActive ?? false);
+    waitAlerts[key] = isActive;
+
+    // New thresholds start silently, like the first status check
+    if (wasActive === false && isActive) {
+      triggered.push({ direction, threshold });
+    }
+  }
+
+  return { waitAlerts, triggered };
+}
+
+// ============================================
+// RETURN TIME ALERTS
+// ============================================
+
+// Virtual queues with a return time: Lightning Lane (RETURN_TIME) and paid Lightning Lane (PAID_RETURN_TIME)
+const RETURN_TIME_QUEUES = ['RETURN_TIME', 'PAID_RETURN_TIME'];
+
+/**
+ * Return-time queue state from an attraction's live data, or null if it has none:
+ * { RETURN_TIME: { state, returnStart }, PAID_RETURN_TIME: { state, returnStart } }
+ */
+function getReturnTimes(attraction) {
+  const returnTimes = {};
+  for (const queue of RETURN_TIME_QUEUES) {
+    const block = attraction.queue?.[queue];
+    if (!block?.state) continue;
+    returnTimes[queue] = { state: block.state, returnStart: block.returnStart || null };
+  }
+  return Object.keys(returnTimes).length > 0 ? returnTimes : null;
+}
+
+/**
+ * Compare return-time queues with the previous check. Reports state changes
+ * (e.g. TEMP_FULL -> AVAILABLE) and available return times moving earlier.
+ */
+function detectReturnTimeChanges(previousReturnTimes, returnTimes) {
+  const changes = [];
+  for (const [queue, current] of Object.entries(returnTimes || {})) {
+    const previous = previousReturnTimes?.[queue];
+    if (!previous) continue;
+
+    if (previous.state !== current.state) {
+      changes.push({
+        queue,
+        kind: 'state',
+        oldState: previous.state,
+        newState: current.state,
+        previousReturnStart: previous.returnStart,
+        returnStart: current.returnStart,
+      });
+    } else if (current.state === 'AVAILABLE' && previous.returnStart && current.returnStart &&
+      Date.parse(current.returnStart) < Date.parse(previous.returnStart)) {
+      changes.push({
+        queue,
+        kind: 'earlier',
+        oldState: previous.state,
+        newState: current.state,
+        previousReturnStart: previous.returnStart,
+        returnStart: current.returnStart,
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Check whether a device's return-time subscription wants an alert:
+ * every state change for its queues, and return times crossing below its earlierThan time.
+ * Returns the subscription that matched, or null.
+ */
+function matchReturnTimeSubscription(device, alert) {
+  const subscription = device.returnTimeSubscriptions?.[alert.rideId];
+  if (!subscription || !subscription.queues.includes(alert.queue)) return null;
+  if (alert.kind === 'state') return subscription;
+  return isEarlierThan(alert, subscription.earlierThan) ? subscription : null;
+}
+
+/**
+ * An available return time newly before the device's earlierThan time (park local "HH:MM")
+ */
+function isEarlierThan(alert, earlierThan) {
+  if (!earlierThan || alert.newState !== 'AVAILABLE' || !alert.returnStart) return false;
+  const limit = parseClockTime(earlierThan);
+  const localMinutes = startTime => Math.floor(getLocalDay(Date.parse(startTime), alert.timezone).secondsIntoDay / 60);
+  const wasEarlier = alert.oldState === 'AVAILABLE' && alert.previousReturnStart &&
+    localMinutes(alert.previousReturnStart) < limit;
+  return localMinutes(alert.returnStart) < limit && !wasEarlier;
+}
+
+// ============================================
+// BOARDING GROUPS
+// ============================================
+
+/**
+ * Virtual queue state from an attraction's live data, or null if it doesn't use boarding groups
+ */
+function getBoardingGroup(attraction) {
+  const block = attraction.queue?.BOARDING_GROUP;
+  if (!block) return null;
+  return {
+    allocationStatus: block.allocationStatus || null,
+    currentGroupStart: block.currentGroupStart ?? null,
+    currentGroupEnd: block.currentGroupEnd ?? null,
+    nextAllocationTime: block.nextAllocationTime || null,
+  };
+}
+
+/**
+ * Collect every device's boarding group registration per ride
+ * Returns Map<rideId, [{ group, within, notified }]>
+ */
+function collectBoardingGroups(devices) {
+  const boardingGroupsByRide = new Map();
+  for (const device of devices) {
+    for (const [rideId, registration] of Object.entries(device.boardingGroups || {})) {
+      if (!boardingGroupsByRide.has(rideId)) boardingGroupsByRide.set(rideId, []);
+      boardingGroupsByRide.get(rideId).push(registration);
+    }
+  }
+  return boardingGroupsByRide;
+}
+
+/**
+ * How far a registered group has come: 'called' once the called range reaches it,
+ * 'approaching' once it's within `within` groups, or null. Stages already notified return null.
+ */
+function getBoardingGroupStage(registration, boardingGroup) {
+  const { currentGroupEnd } = boardingGroup || {};
+  if (registration?.group == null || currentGroupEnd == null) return null;
+
+  const stage = currentGroupEnd >= registration.group ? 'called'
+    : currentGroupEnd >= registration.group - registration.within ? 'approaching'
+      : null;
+  return stage && !(registration.notified || []).includes(stage) ? stage : null;
+}
+
+/**
+ * Check whether a device wants a boarding group alert. Every device registered for the ride
+ * gets allocation changes; progress only goes to devices whose own group moved to a new stage.
+ * Returns { registration, stage } or null
+ */
+function matchBoardingGroupAlert(device, alert) {
+  const registration = device.boardingGroups?.[alert.rideId];
+  if (!registration) return null;
+  if (alert.type === 'boarding_allocation') return { registration, stage: null };
+
+  const stage = getBoardingGroupStage(registration, alert);
+  return stage ? { registration, stage } : null;
+}
+
+// ============================================
+// SHOWTIMES
+// ============================================
+
+// Last seen state of every show in a polled park:
+// { showId: { name, parkId, parkName, timezone, status, showtimes: [startTime] } }
+const showCache = new Map();
+// A showtime that disappears while a new one appears within this long after it counts as delayed
+const SHOW_DELAY_MATCH_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * A show's start times from the live feed, oldest first
+ */
+function getShowtimes(show) {
+  const startTimes = (show.showtimes || [])
+    .map(showtime => showtime.startTime)
+    .filter(startTime => startTime && !Number.isNaN(Date.parse(startTime)));
+  return [...new Set(startTimes)].sort((a, b) => Date.parse(a) - Date.parse(b));
+}
+
+/**
+ * Collect every show any device is subscribed to and the reminder lead times wanted for it
+ * Returns Map<showId, Set<reminderMin>>
+ */
+function collectShowSubscriptions(devices) {
+  const subscriptionsByShow = new Map();
+  for (const device of devices) {
+    for (const [showId, subscription] of Object.entries(device.showSubscriptions || {})) {
+      if (!subscriptionsByShow.has(showId)) subscriptionsByShow.set(showId, new Set());
+      subscriptionsByShow.get(showId).add(subscription.reminderMin);
+    }
+  }
+  return subscriptionsByShow;
+}
+
+/**
+ * Compare a show with how it looked last check. Only upcoming showtimes count, since
+ * ones that have started drop out of the feed on their own.
+ * - The show closing with showtimes still to come alerts about the next one
+ * - A showtime disappearing is a delay if a new one appears within 2 hours after it, otherwise a cancellation
+ */
+function detectShowChanges(show, previous, nowMs) {
+  const upcoming = previous.showtimes.filter(startTime => Date.parse(startTime) > nowMs);
+  if (upcoming.length === 0) return [];
+
+  if (isDownStatus(show.status)) {
+    // While closed, disappearing showtimes were already covered by the closing alert
+    return isDownStatus(previous.status) ? [] : [{ type: 'show_closed', status: show.status, startTime: upcoming[0] }];
+  }
+
+  const current = new Set(show.showtimes);
+  const seen = new Set(previous.showtimes);
+  const added = show.showtimes.filter(startTime => !seen.has(startTime));
+  const alerts = [];
+  for (const startTime of upcoming.filter(startTime => !current.has(startTime))) {
+    const start = Date.parse(startTime);
+    const index = added.findIndex(newStartTime =>
+      Date.parse(newStartTime) > start && Date.parse(newStartTime) - start <= SHOW_DELAY_MATCH_MS);
+    if (index === -1) {
+      alerts.push({ type: 'show_cancelled', startTime });
+    } else {
+      alerts.push({ type: 'show_delayed', startTime, newStartTime: added[index] });
+      added.splice(index, 1);
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Update the show cache from a park's live data and return alerts for subscribed shows:
+ * reminders coming due, plus cancellations and delays (skipped when rebaselining)
+ */
+function processShows(parkId, liveData, subscriptionsByShow, { rebaseline = false, nowMs = clock.now() } = {}) {
+  const alerts = [];
+
+  for (const entity of liveData.liveData.filter(item => item.entityType === 'SHOW')) {
+    const show = {
+      name: entity.name,
+      parkId,
+      parkName: liveData.name || null,
+      timezone: liveData.timezone || scheduleCache.get(parkId)?.timezone || 'UTC',
+      status: entity.status || 'UNKNOWN',
+      showtimes: getShowtimes(entity),
+    };
+    const previous = showCache.get(entity.id);
+    showCache.set(entity.id, show);
+
+    const reminderMins = subscriptionsByShow.get(entity.id);
+    if (!reminderMins) continue;
+    const base = { showId: entity.id, showName: show.name, parkId, parkName: show.parkName, timezone: show.timezone };
+
+    if (previous && !rebaseline) {
+      alerts.push(...detectShowChanges(show, previous, nowMs).map(alert => ({ ...base, ...alert })));
+    }
+
+    if (isDownStatus(show.status)) continue;
+    for (const startTime of show.showtimes) {
+      const start = Date.parse(startTime);
+      for (const reminderMin of reminderMins) {
+        if (start > nowMs && start - reminderMin * 60 * 1000 <= nowMs) {
+          alerts.push({ ...base, type: 'show_reminder', startTime, reminderMin });
+        }
+      }
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Claim key for a show alert: each showtime is announced once per kind of alert,
+ * however many instances or checks see it
+ */
+function getShowAlertKey(alert) {
+  const parts = [alert.type, alert.showId, alert.startTime];
+  if (alert.type === 'show_reminder') parts.push(alert.reminderMin);
+  if (alert.type === 'show_delayed') parts.push(alert.newStartTime);
+  return parts.join('|');
+}
+
+// ============================================
+// UPSTREAM HEALTH
+// ============================================
+
+// Per-park upstream health: { parkId: { lastSuccessAt, lastDataUpdatedAt, failingSince, degraded: { reason, since } | null } }
+const parkHealth = new Map();
+
+/**
+ * Newest `lastUpdated` across a park's attractions (ms), or null if the feed doesn't carry it
+ */
+function getNewestUpdate(liveData) {
+  const updates = (liveData?.liveData || [])
+    .filter(entity => entity.entityType === 'ATTRACTION' && entity.lastUpdated)
+    .map(entity => Date.parse(entity.lastUpdated))
+    .filter(ms => !Number.isNaN(ms));
+  return updates.length > 0 ? Math.max(...updates) : null;
+}
+
+/**
+ * Update a park's health after a fetch (liveData is null when the fetch failed).
+ * A park is degraded when its newest attraction update is older than STALE_DATA_MIN,
+ * or when fetches have kept failing for UPSTREAM_OUTAGE_MIN.
+ * @returns {{ degraded: boolean, newlyDegraded: boolean, recovered: boolean }}
+ */
+function updateParkHealth(parkId, liveData, nowMs = clock.now()) {
+  const health = parkHealth.get(parkId) ||
+    { lastSuccessAt: null, lastDataUpdatedAt: null, failingSince: null, degraded: null };
+  parkHealth.set(parkId, health);
+
+  let reason = null;
+  if (liveData) {
+    health.lastSuccessAt = nowMs;
+    health.failingSince = null;
+    const newest = getNewestUpdate(liveData);
+    health.lastDataUpdatedAt = newest ?? health.lastDataUpdatedAt;
+    if (config.staleDataMin > 0 && newest !== null && nowMs - newest >= config.staleDataMin * 60 * 1000) {
+      reason = 'stale_data';
+    }
+  } else {
+    health.failingSince = health.failingSince ?? nowMs;
+    if (config.upstreamOutageMin > 0 && nowMs - health.failingSince >= config.upstreamOutageMin * 60 * 1000) {
+      reason = 'fetch_failing';
+    }
+  }
+
+  if (reason) {
+    const newlyDegraded = !health.degraded;
+    if (newlyDegraded) {
+      logger.warn(`Park ${parkId} degraded: ${describeDegradation(parkId, reason, nowMs)}`);
+    }
+    health.degraded = { reason, since: health.degraded?.since ?? nowMs };
+    return { degraded: true, newlyDegraded, recovered: false };
+  }
+
+  // Only fresh data ends a degradation; a failed fetch just keeps counting
+  if (health.degraded && liveData) {
+    logger.info(`Park ${parkId} recovered after ${formatDuration((nowMs - health.degraded.since) / 1000)}`);
+    health.degraded = null;
+    return { degraded: false, newlyDegraded: false, recovered: true };
+  }
+
+  return { degraded: Boolean(health.degraded), newlyDegraded: false, recovered: false };
+}
+
+/**
+ * Closed parks aren't fetched, so a failure streak shouldn't carry over to the next opening
+ */
+function resetParkFailures(parkId) {
+  const health = parkHealth.get(parkId);
+  if (health) health.failingSince = null;
+}
+
+function describeDegradation(parkId, reason, nowMs = clock.now()) {
+  const health = parkHealth.get(parkId);
+  if (reason === 'stale_data') {
+    return `no fresh data for ${formatDuration((nowMs - health.lastDataUpdatedAt) / 1000)}`;
+  }
+  return `fetches failing for ${formatDuration((nowMs - health.failingSince) / 1000)}`;
+}
+
+/**
+ * Degraded parks with their reason, for /health and /check
+ */
+function getDegradedParks() {
+  return [...parkHealth.entries()]
+    .filter(([parkId, health]) => health.degraded && config.parkIds.includes(parkId))
+    .map(([parkId, health]) => ({
+      parkId,
+      reason: health.degraded.reason,
+      since: new Date(health.degraded.since).toISOString(),
+      lastSuccessAt: health.lastSuccessAt ? new Date(health.lastSuccessAt).toISOString() : null,
+      lastDataUpdatedAt: health.lastDataUpdatedAt ? new Date(health.lastDataUpdatedAt).toISOString() : null,
+    }));
+}
+
+/**
+ * Send a single operator-only push to admin devices about newly degraded parks
+ */
+async function sendOperatorAlert(parkIds) {
+  if (config.adminDeviceTokens.length === 0) {
+    logger.warn('No ADMIN_DEVICE_TOKENS configured, skipping operator alert');
+    return null;
+  }
+
+  const lines = parkIds.map(parkId => {
+    const { reason } = parkHealth.get(parkId).degraded;
+    return `Park ${parkId}: ${describeDegradation(parkId, reason)}`;
+  });
+  const title = parkIds.length === 1 ? 'Ride Watch: Park Data Degraded' : `Ride Watch: ${parkIds.length} Parks Degraded`;
+  const body = `${lines.join('\n')}\nRide alerts are paused until fresh data arrives.`;
+
+  return sendPushNotifications([{
+    tokens: config.adminDeviceTokens,
+    title,
+    body,
+    data: { type: 'operator_alert', parkIds: parkIds.join(',') },
+  }], DEFAULT_RETRY, { markInvalid: false }); // Admin tokens come from config, not the devices collection
+}
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+// What recent checks saw, for adaptive polling:
+// lastChangeAt - last status change or brief outage, errorStreak - consecutive checks where
+// upstream failed or rate limited us, retryAfterSec - the longest Retry-After from the last check
+const pollingActivity = { lastChangeAt: clock.now(), errorStreak: 0, retryAfterSec: 0 };
+
+/**
+ * Update polling activity from a finished check (or a check that threw, when result is null).
+ * Failing to fetch one park out of several doesn't slow the others down, but failing
+ * to fetch every park, or any rate limit, does.
+ */
+function recordPollingActivity(result) {
+  if (!result) {
+    pollingActivity.errorStreak++;
+    return;
+  }
+
+  if (result.changes > 0 || result.briefOutages > 0) pollingActivity.lastChangeAt = clock.now();
+
+  const parks = result.parks || [];
+  const failed = parks.filter(park => park.status === 'failed' || park.status === 'circuit_open');
+  const rateLimited = parks.some(park => park.rateLimited);
+  const upstreamFailing = rateLimited || (parks.length > 0 && failed.length === parks.length);
+  pollingActivity.errorStreak = upstreamFailing ? pollingActivity.errorStreak + 1 : 0;
+  pollingActivity.retryAfterSec = Math.max(0, ...parks.map(park => park.retryAfterSec || 0));
+}
+
+/**
+ * Watched rides in monitored parks that are down, or about to be confirmed down
+ */
+function getRidesDown() {
+  const parkIds = new Set(config.parkIds);
+  return [...statusCache.values()].filter(entry =>
+    parkIds.has(entry.parkId) &&
+    shouldMonitorRide(entry.rideName || '') &&
+    (entry.status === 'DOWN' || entry.pending?.status === 'DOWN'));
+}
+
+/**
+ * Pick the polling interval from what recent checks saw
+ * Returns { delaySeconds, reason }
+ */
+function getAdaptiveInterval(normalDelaySeconds, nowMs = clock.now()) {
+  if (!config.adaptivePolling) {
+    return { delaySeconds: normalDelaySeconds, reason: 'normal interval' };
+  }
+
+  if (pollingActivity.errorStreak > 0) {
+    const backoff = Math.min(normalDelaySeconds * 2 ** pollingActivity.errorStreak, config.maxBackoffSec);
+    const delaySeconds = Math.max(backoff, Math.min(pollingActivity.retryAfterSec, config.maxBackoffSec));
+    return {
+      delaySeconds,
+      reason: pollingActivity.retryAfterSec > 0
+        ? `rate limited (Retry-After ${pollingActivity.retryAfterSec}s), backing off`
+        : `upstream failing for ${pollingActivity.errorStreak} check(s), backing off`,
+    };
+  }
+
+  const ridesDown = getRidesDown();
+  if (ridesDown.length > 0) {
+    return {
+      delaySeconds: Math.min(config.fastCheckIntervalSec, normalDelaySeconds),
+      reason: ridesDown.length === 1
+        ? `${ridesDown[0].rideName} is down`
+        : `${ridesDown.length} watched rides are down`,
+    };
+  }
+
+  const slowDelaySeconds = Math.max(config.slowCheckIntervalSec, normalDelaySeconds);
+  const { openParks } = getPollingState(nowMs);
+  const closingSoonMs = config.closingSoonMin * 60 * 1000;
+  const closingSoon = openParks.length > 0 && openParks.every(parkId => {
+    const closingTime = getParkClosingTime(parkId, nowMs);
+    return closingTime !== null && closingTime - nowMs <= closingSoonMs;
+  });
+  if (closingSoon) {
+    return { delaySeconds: slowDelaySeconds, reason: 'parks closing soon' };
+  }
+
+  const stableMs = nowMs - pollingActivity.lastChangeAt;
+  if (stableMs >= config.stableAfterMin * 60 * 1000) {
+    return { delaySeconds: slowDelaySeconds, reason: `no changes for ${formatDuration(stableMs / 1000)}` };
+  }
+
+  return { delaySeconds: normalDelaySeconds, reason: 'normal interval' };
+}
+
+/**
+ * Determine the delay for the next check, accounting for park hours, bedtime and adaptive polling
+ * Returns { delaySeconds, reason }
+ */
+function getNextCheckDelay(normalDelaySeconds) {
+  const polling = getPollingState();
+  if (polling.sleeping) {
+    // Small buffer so we wake up just after the opening, never less than a minute
+    const delaySeconds = Math.max(Math.ceil((polling.wakeAt - Date.now()) / 1000) + 60, 60);
+    const hours = Math.floor(delaySeconds / 3600);
+    const minutes = Math.floor((delaySeconds % 3600) / 60);
+    return {
+      delaySeconds,
+      reason: `parks closed (sleeping for ${hours}h ${minutes}m until ${new Date(polling.wakeAt).toISOString()})`,
+      isBedtime: true,
+    };
+  }
+  return {
+    ...getAdaptiveInterval(normalDelaySeconds),
+    isBedtime: false,
+  };
+}
+
+/**
+ * Task names are the scheduled time rounded to this many seconds, so duplicate /check
+ * deliveries schedule the same task. It must not exceed the shortest possible delay,
+ * or the next task could round onto the name of the one that just ran and be dropped
+ * as a duplicate, ending the chain. Delays are never shorter than a minute while sleeping.
+ */
+function getTaskNameGranularity() {
+  const shortest = config.adaptivePolling
+    ? Math.min(config.checkIntervalSec, config.fastCheckIntervalSec)
+    : config.checkIntervalSec;
+  return Math.max(Math.min(shortest, 60), 1);
+}
+
+/**
+ * Check if max runtime has been exceeded
+ * @param {string|null} startedAt - ISO timestamp when monitoring started
+ * @returns {{ exceeded: boolean, elapsed: number|null, max: number|null }}
+ */
+function checkMaxRuntime(startedAt) {
+  if (!config.maxRuntimeHours || !startedAt) {
+    return { exceeded: false, elapsed: null, max: null };
+  }
+
+  const startTime = new Date(startedAt).getTime();
+  const now = Date.now();
+  const elapsedHours = (now - startTime) / (1000 * 60 * 60);
+
+  return {
+    exceeded: elapsedHours >= config.maxRuntimeHours,
+    elapsed: elapsedHours,
+    max: config.maxRuntimeHours,
+  };
+}
+
+async function scheduleNextCheck(delaySeconds, startedAt = null) {
+  if (!config.dynamicScheduling) {
+    logger.info('Dynamic scheduling disabled, skipping task creation');
+    return { scheduled: false, reason: 'dynamic scheduling disabled' };
+  }
+
+  if (!config.projectId || !config.serviceUrl) {
+    logger.warn('Missing PROJECT_ID or SERVICE_URL, cannot schedule next check');
+    return { scheduled: false, reason: 'missing config' };
+  }
+
+  // Check if max runtime has been exceeded
+  const runtimeCheck = checkMaxRuntime(startedAt);
+  if (runtimeCheck.exceeded) {
+    const elapsedStr = runtimeCheck.elapsed.toFixed(2);
+    logger.info(`Max runtime exceeded (${elapsedStr}h >= ${runtimeCheck.max}h) - stopping scheduling`);
+    metrics.schedulerShutdown.set({}, 1);
+    return {
+      scheduled: false,
+      reason: 'max runtime exceeded',
+      elapsed: runtimeCheck.elapsed,
+      max: runtimeCheck.max,
+      shutdown: true,
+    };
+  }
+
+  // Check park hours / bedtime and adjust delay if needed
+  await refreshParkSchedules();
+  const nextCheck = getNextCheckDelay(delaySeconds);
+
+  const queuePath = tasksClient.queuePath(
+    config.projectId,
+    config.location,
+    config.queueName
+  );
+
+  // Calculate scheduled time and create a deterministic task name
+  // Round to handle slight timing variations between duplicate deliveries
+  const scheduledSeconds = Math.floor(Date.now() / 1000) + nextCheck.delaySeconds;
+  const granularity = getTaskNameGranularity();
+  const roundedSeconds = Math.round(scheduledSeconds / granularity) * granularity;
+  const taskName = `${queuePath}/tasks/check-${roundedSeconds}`;
+
+  const task = {
+    name: taskName,
+    httpRequest: {
+      httpMethod: 'POST',
+      url: `${config.serviceUrl}/check`,
+      headers: { 'Content-Type': 'application/json' },
+      body: Buffer.from(JSON.stringify({ startedAt })).toString('base64'),
+      // Signed identity the /check route verifies
+      ...(config.tasksServiceAccount && {
+        oidcToken: { serviceAccountEmail: config.tasksServiceAccount, audience: config.oidcAudience },
+      }),
+    },
+    scheduleTime: {
+      seconds: scheduledSeconds,
+    },
+  };
+
+  try {
+    const [response] = await tasksClient.createTask({ parent: queuePath, task });
+    logger.info(`Scheduled next check in ${nextCheck.delaySeconds}s (${nextCheck.reason}): ${response.name}`);
+    return {
+      scheduled: true,
+      delaySeconds: nextCheck.delaySeconds,
+      reason: nextCheck.reason,
+      isBedtime: nextCheck.isBedtime,
+    };
+  } catch (error) {
+    // Error code 6 is ALREADY_EXISTS - task with this name already scheduled
+    if (error.code === 6) {
+      logger.info(`Task already scheduled for ${roundedSeconds} (${nextCheck.reason}), skipping duplicate`);
+      return {
+        scheduled: true,
+        delaySeconds: nextCheck.delaySeconds,
+        reason: nextCheck.reason,
+        isBedtime: nextCheck.isBedtime,
+        deduplicated: true,
+      };
+    }
+    logger.error('Failed to schedule next check:', error.message);
+    return { scheduled: false, reason: error.message };
+  }
+}
+
+// ============================================
+// LOCAL SCHEDULER
+// ============================================
+
+// In-process alternative to Cloud Tasks: the service drives its own check loop
+const localScheduler = {
+  running: false,
+  // Bumped on every start, so a tick from before a /stop + /start doesn't keep its old chain going
+  generation: 0,
+  startedAt: null,
+  timer: null,
+  checking: false,
+  nextCheckAt: null,
+  nextCheckReason: null,
+  lastCheckAt: null,
+  lastResult: null,
+  stoppedReason: null,
+};
+
+function getSchedulerMode() {
+  if (config.localScheduling) return 'local';
+  if (config.dynamicScheduling) return 'cloud-tasks';
+  return 'none';
+}
+
+/**
+ * Run one iteration of the local loop, then queue the next one
+ * Uses the same interval, park hours/bedtime and max runtime rules as Cloud Tasks scheduling
+ */
+async function runLocalSchedulerTick(generation) {
+  if (!localScheduler.running || generation !== localScheduler.generation) return;
+  localScheduler.timer = null;
+
+  const runtimeCheck = checkMaxRuntime(localScheduler.startedAt);
+  if (runtimeCheck.exceeded) {
+    logger.info(`Max runtime exceeded (${runtimeCheck.elapsed.toFixed(2)}h >= ${runtimeCheck.max}h) - stopping local scheduler`);
+    metrics.schedulerShutdown.set({}, 1);
+    stopLocalScheduler('max runtime exceeded');
+    return;
+  }
+
+  await refreshParkSchedules();
+  if (!getPollingState().sleeping) {
+    localScheduler.checking = true;
+    const startTime = Date.now();
+    try {
+      const result = await runExclusiveCheck();
+      if (result) {
+        const duration = Date.now() - startTime;
+        logCheckComplete(result, duration);
+        localScheduler.lastResult = {
+          success: true,
+          checkId: result.checkId,
+          ridesChecked: result.checked,
+          statusChanges: result.changes,
+          ridesDown: result.ridesDown,
+          durationMs: duration,
+        };
+      } else {
+        logger.info('Previous check still running, skipping this one');
+      }
+    } catch (error) {
+      logger.error('Error during status check:', error);
+      localScheduler.lastResult = { success: false, error: error.message };
+    } finally {
+      localScheduler.checking = false;
+      localScheduler.lastCheckAt = new Date().toISOString();
+    }
+  }
+
+  // Stopped (or stopped and restarted) while the check was running
+  if (!localScheduler.running || generation !== localScheduler.generation) return;
+
+  const nextCheck = getNextCheckDelay(config.checkIntervalSec);
+  localScheduler.nextCheckAt = new Date(Date.now() + nextCheck.delaySeconds * 1000).toISOString();
+  localScheduler.nextCheckReason = nextCheck.reason;
+  localScheduler.timer = setTimeout(runLocalSchedulerTick, nextCheck.delaySeconds * 1000, generation);
+  logger.info(`Next local check in ${nextCheck.delaySeconds}s (${nextCheck.reason})`);
+}
+
+/**
+ * Start the local loop; returns false if it's already running
+ */
+function startLocalScheduler() {
+  if (localScheduler.running) return false;
+
+  Object.assign(localScheduler, {
+    running: true,
+    generation: localScheduler.generation + 1,
+    startedAt: new Date().toISOString(),
+    stoppedReason: null,
+    nextCheckAt: new Date().toISOString(),
+    nextCheckReason: 'starting',
+  });
+  localScheduler.timer = setTimeout(runLocalSchedulerTick, 0, localScheduler.generation);
+  metrics.schedulerShutdown.set({}, 0);
+  logger.info('Local scheduler started');
+  return true;
+}
+
+/**
+ * Stop the local loop; returns false if it wasn't running
+ * A check already in progress finishes, but nothing further is scheduled
+ */
+function stopLocalScheduler(reason = 'stopped') {
+  if (!localScheduler.running) return false;
+
+  clearTimeout(localScheduler.timer);
+  Object.assign(localScheduler, {
+    running: false,
+    timer: null,
+    nextCheckAt: null,
+    nextCheckReason: null,
+    stoppedReason: reason,
+  });
+  logger.info(`Local scheduler stopped (${reason})`);
+  return true;
+}
+
+function getLocalSchedulerState() {
+  const { timer, ...state } = localScheduler;
+  return state;
+}
+
+// ============================================
+// MAIN STATUS CHECK
+// ============================================
+
+let checkInProgress = false;
+
+/**
+ * Run a status check unless one is already running
+ * Returns null if skipped to avoid overlapping checks
+ */
+async function runExclusiveCheck() {
+  if (checkInProgress) return null;
+
+  checkInProgress = true;
+  try {
+    return await checkStatusChanges();
+  } finally {
+    checkInProgress = false;
+  }
+}
+
+/**
+ * Log a finished check's summary. It's written after the check's own log context has
+ * ended, so it takes the checkId from the result rather than whatever check ran last
+ */
+function logCheckComplete(result, durationMs) {
+  withLogContext({ checkId: result.checkId }, () => {
+    logger.info(`Check complete: ${result.checked} rides, ${result.changes} changes, ${result.firestoreWrites} writes (${durationMs}ms)`, {
+      ridesChecked: result.checked,
+      statusChanges: result.changes,
+      firestoreWrites: result.firestoreWrites,
+      durationMs,
+    });
+  });
+}
+
+/**
+ * Run one status check, recording its duration and outcome in metrics
+ * The result carries the check's checkId
+ */
+async function checkStatusChanges() {
+  const checkId = randomUUID();
+  const startTime = Date.now();
+
+  // Every log line written during the check carries its checkId
+  return withLogContext({ checkId }, async () => {
+    try {
+      const result = await runStatusCheck();
+      metrics.checks.inc({ result: 'success' });
+      recordPollingActivity(result);
+      return { checkId, ...result };
+    } catch (error) {
+      metrics.checks.inc({ result: 'error' });
+      recordPollingActivity(null);
+      throw error;
+    } finally {
+      metrics.checkDuration.observe({}, (Date.now() - startTime) / 1000);
+    }
+  });
+}
+
+async function runStatusCheck() {
+  // Initialize cache on first run, and pick up any settings changed through /config
+  await initializeStatusCache();
+  await loadRuntimeSettings();
+
+  if (config.parkIds.length === 0) {
+    logger.warn('No park IDs configured');
+    return { checked: 0, changes: 0, briefOutages: 0, waitAlerts: 0, returnTimeAlerts: 0, boardingGroupAlerts: 0, ridesDown: 0, firestoreWrites: 0, notifications: null, parks: [], parksSkipped: [], degradedParks: [] };
+  }
+
+  // Only poll parks inside their operating hours
+  await refreshParkSchedules();
+  const { openParks } = getPollingState();
+  const parksSkipped = config.parkIds.filter(parkId => !openParks.includes(parkId));
+  if (parksSkipped.length > 0) {
+    logger.info(`Skipping ${parksSkipped.length} closed park(s): ${parksSkipped.join(', ')}`);
+  }
+  parksSkipped.forEach(resetParkFailures);
+
+  let totalChecked = 0;
+  let totalChanges = 0;
+  let ridesDown = 0;
+  const ridesDownByPark = new Map();
+  let firestoreWrites = 0;
+  const statusChanges = [];
+  const briefOutages = [];
+  const waitAlerts = [];
+  const returnTimeAlerts = [];
+  const boardingGroupAlerts = [];
+  const showAlerts = [];
+  const nonOperatingRides = [];
+
+  // Wait time thresholds, show subscriptions and boarding groups come from device preferences
+  let thresholdsByRide = new Map();
+  let subscriptionsByShow = new Map();
+  let boardingGroupsByRide = new Map();
+  try {
+    const devices = await getDeviceTokens();
+    thresholdsByRide = collectWaitThresholds(devices);
+    subscriptionsByShow = collectShowSubscriptions(devices);
+    boardingGroupsByRide = collectBoardingGroups(devices);
+  } catch (error) {
+    logger.error('Failed to load wait thresholds, show subscriptions and boarding groups:', error.message);
+  }
+
+  // Fetch every open park concurrently; each fetch retries on its own and never throws
+  const fetches = await Promise.all(openParks.map(parkId => fetchParkWithResilience(parkId)));
+  const parks = fetches.map(fetched => fetched.result);
+
+  const newlyDegraded = [];
+  for (const [index, parkId] of openParks.entries()) {
+    const liveData = fetches[index].data;
+
+    // Stale or missing data pauses change detection for the park until fresh data arrives
+    const health = updateParkHealth(parkId, liveData);
+    if (health.newlyDegraded) newlyDegraded.push(parkId);
+    if (!liveData) continue;
+    if (health.degraded) {
+      logger.warn(`Skipping change detection for park ${parkId}: data is stale`);
+      continue;
+    }
+    // First fresh data after a degradation becomes the new baseline without notifying,
+    // since statuses may have moved while the feed was frozen
+    const rebaseline = health.recovered;
+    const parkName = liveData.name || null;
+    ridesDownByPark.set(parkId, 0);
+
+    try {
+      if (!liveData.liveData || !Array.isArray(liveData.liveData)) {
+        logger.warn(`No live data array for park ${parkId}`);
+        continue;
+      }
+
+      showAlerts.push(...processShows(parkId, liveData, subscriptionsByShow, { rebaseline }));
+
+      const attractions = liveData.liveData.filter(
+        entity => entity.entityType === 'ATTRACTION'
+      );
+
+      logger.info(`Found ${attractions.length} attractions in park ${parkId}`);
+
+      for (const attraction of attractions) {
+        const rideId = attraction.id;
+        const rideName = attraction.name;
+        const observedStatus = attraction.status || 'UNKNOWN';
+        const waitTime = getStandbyWaitTime(attraction);
+        const returnTimes = getReturnTimes(attraction);
+        const boardingGroup = getBoardingGroup(attraction);
+
+        if (!shouldMonitorRide(rideName)) continue;
+
+        totalChecked++;
+
+        // Get previous status from cache (no storage read!)
+        const previousData = getPreviousStatus(rideId);
+        const previousStatus = previousData?.status;
+
+        // Hold back unconfirmed changes so flapping rides don't notify on every flip
+        const confirmation = rebaseline
+          ? { status: observedStatus, pending: null, briefOutage: null }
+          : confirmStatus(previousData, observedStatus);
+        const currentStatus = confirmation.status;
+        if (confirmation.pending && confirmation.pending.checks === 1) {
+          logger.info(`Pending status change: ${rideName} (${previousStatus} → ${observedStatus}), awaiting confirmation`, { parkId, rideId });
+        }
+        if (confirmation.briefOutage) {
+          logger.info(`Brief outage: ${rideName} was ${confirmation.briefOutage.status} for ${confirmation.briefOutage.durationSec}s`, { parkId, rideId, durationSec: confirmation.briefOutage.durationSec });
+          briefOutages.push({ rideId, rideName, parkId, parkName, ...confirmation.briefOutage });
+        }
+
+        if (isDownStatus(currentStatus)) {
+          ridesDown++;
+          ridesDownByPark.set(parkId, (ridesDownByPark.get(parkId) || 0) + 1);
+          nonOperatingRides.push({ name: rideName, status: currentStatus });
+        }
+
+        if (rebaseline && previousStatus && previousStatus !== currentStatus) {
+          logger.info(`Rebaselined after degradation: ${rideName} (${previousStatus} → ${currentStatus}), not notifying`, { parkId, rideId });
+        }
+
+        // Detect changes
+        if (!rebaseline && previousStatus && previousStatus !== currentStatus) {
+          logger.info(`Status change detected: ${rideName} (${previousStatus} → ${currentStatus})`, {
+            parkId,
+            rideId,
+            oldStatus: previousStatus,
+            newStatus: currentStatus,
+          });
+          totalChanges++;
+          metrics.transitions.inc({ old_status: previousStatus, new_status: currentStatus });
+          const change = {
+            rideId,
+            rideName,
+            parkId,
+            parkName,
+            oldStatus: previousStatus,
+            newStatus: currentStatus,
+          };
+          // Notifications for a ride coming back up say how long it was down, up to when it was
+          // first seen back up rather than when that was confirmed
+          if (previousStatus === 'DOWN' && currentStatus === 'OPERATING' && previousData.statusSince) {
+            const upSinceMs = confirmation.since ? Date.parse(confirmation.since) : clock.now();
+            change.downtimeSec = Math.round((upSinceMs - Date.parse(previousData.statusSince)) / 1000);
+          }
+          statusChanges.push(change);
+
+          try {
+            await recordTransition(change, previousData, confirmation.since);
+            firestoreWrites++;
+          } catch (error) {
+            logger.error(`Failed to record transition for ${rideName}:`, error.message);
+          }
+        }
+
+        // Check wait time thresholds. A ride seen down but not yet confirmed isn't reporting a
+        // real wait, so it keeps its last threshold state like a confirmed down ride
+        const pendingDown = confirmation.pending && isDownStatus(confirmation.pending.status);
+        const waitResult = evaluateWaitThresholds(
+          thresholdsByRide.get(rideId) || [],
+          waitTime,
+          pendingDown ? confirmation.pending.status : currentStatus,
+          previousData?.waitAlerts
+        );
+        for (const { direction, threshold } of rebaseline ? [] : waitResult.triggered) {
+          logger.info(`Wait alert: ${rideName} ${direction} ${threshold} min (now ${waitTime} min)`, { parkId, rideId, waitTime });
+          waitAlerts.push({ rideId, rideName, parkId, parkName, direction, threshold, waitTime });
+        }
+
+        // Check Lightning Lane return times
+        const returnTimeChanges = rebaseline ? [] : detectReturnTimeChanges(previousData?.returnTimes, returnTimes);
+        for (const change of returnTimeChanges) {
+          logger.info(`Return time change: ${rideName} ${change.queue} ${change.oldState} → ${change.newState}, return ${change.returnStart || 'n/a'}`, { parkId, rideId, queue: change.queue });
+          returnTimeAlerts.push({ rideId, rideName, parkId, parkName, timezone: liveData.timezone, ...change });
+        }
+
+        // Check the virtual queue: allocation opening, pausing or closing, and registered groups coming up
+        if (boardingGroup) {
+          const previousAllocation = previousData?.boardingGroup?.allocationStatus;
+          const base = { rideId, rideName, parkId, parkName, timezone: liveData.timezone, ...boardingGroup };
+          if (!rebaseline && previousAllocation && previousAllocation !== boardingGroup.allocationStatus) {
+            logger.info(`Boarding group allocation: ${rideName} (${previousAllocation} → ${boardingGroup.allocationStatus})`, { parkId, rideId });
+            boardingGroupAlerts.push({ ...base, type: 'boarding_allocation', previousAllocationStatus: previousAllocation });
+          }
+          const registrations = boardingGroupsByRide.get(rideId) || [];
+          if (registrations.some(registration => getBoardingGroupStage(registration, boardingGroup))) {
+            logger.info(`Boarding groups called: ${rideName} ${boardingGroup.currentGroupStart}-${boardingGroup.currentGroupEnd}`, { parkId, rideId });
+            boardingGroupAlerts.push({ ...base, type: 'boarding_progress' });
+          }
+        }
+
+        // Save to cache + storage (only writes if changed)
+        const didWrite = await saveStatus(rideId, currentStatus, rideName, {
+          parkId,
+          waitTime,
+          waitAlerts: waitResult.waitAlerts,
+          returnTimes,
+          boardingGroup,
+          pending: confirmation.pending,
+          since: confirmation.since,
+        });
+        if (didWrite) firestoreWrites++;
+      }
+    } catch (error) {
+      logger.error(`Error processing park ${parkId}:`, error.message);
+    }
+  }
+
+  for (const [parkId, count] of ridesDownByPark) metrics.ridesDown.set({ park: parkId }, count);
+
+  // Log non-operating rides
+  const degradedParks = getDegradedParks();
+  if (nonOperatingRides.length > 0) {
+    logger.info(`Non-operating rides (${nonOperatingRides.length}):`);
+    for (const ride of nonOperatingRides) {
+      logger.info(`  - ${ride.name}: ${ride.status}`);
+    }
+  } else if (degradedParks.length === 0) {
+    logger.info('All monitored rides are operating');
+  }
+
+  if (degradedParks.length > 0) {
+    logger.warn(`Degraded park(s), ride statuses may be out of date: ${degradedParks.map(park => park.parkId).join(', ')}`);
+  }
+  if (newlyDegraded.length > 0) {
+    try {
+      await sendOperatorAlert(newlyDegraded);
+    } catch (error) {
+      logger.error('Failed to send operator alert:', error.message);
+    }
+  }
+
+  // Send status changes, brief outages, wait, return-time and boarding group alerts through every notification channel
+  let notificationResults = null;
+  const alerts = { statusChanges, briefOutages, waitAlerts, returnTimeAlerts, boardingGroupAlerts };
+  if (countAlerts(alerts) > 0) {
+    notificationResults = await dispatchNotifications(alerts);
+  }
+
+  // Devices whose quiet hours ended since the last check get what was held for them
+  let catchUpSummaries = null;
+  let showResults = null;
+  const fcmChannel = notificationChannels.find(channel => channel.type === 'fcm');
+  if (fcmChannel) {
+    try {
+      catchUpSummaries = await deliverCatchUpSummaries(fcmChannel.retry);
+    } catch (error) {
+      logger.error('Failed to deliver quiet hours summaries:', error.message);
+    }
+
+    // Show alerts only go to devices, so they skip the other channels
+    if (showAlerts.length > 0) {
+      try {
+        showResults = await notifyShowSubscribers(showAlerts, fcmChannel.retry);
+      } catch (error) {
+        logger.error('Failed to send show alerts:', error.message);
+      }
+    }
+  }
+
+  return {
+    checked: totalChecked,
+    changes: totalChanges,
+    briefOutages: briefOutages.length,
+    waitAlerts: waitAlerts.length,
+    returnTimeAlerts: returnTimeAlerts.length,
+    boardingGroupAlerts: boardingGroupAlerts.length,
+    ridesDown,
+    firestoreWrites,
+    cacheSize: statusCache.size,
+    notifications: notificationResults,
+    catchUpSummaries,
+    showAlerts: showResults,
+    parks,
+    parksSkipped,
+    degradedParks,
+  };
+}
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+
+// Verifies Google-signed OIDC ID tokens (Cloud Tasks, Cloud Scheduler, `gcloud auth print-identity-token`)
+const oidcClient = new OAuth2Client();
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+function getCredential(req) {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return req.get('x-api-key') || match?.[1].trim() || null;
+}
+
+/**
+ * Identify the caller from an admin API key or a Google OIDC ID token.
+ * Verified identities that aren't admins or the Cloud Tasks service account get `role: null`.
+ * @returns {Promise<{ role: 'admin'|'scheduler'|'metrics'|null, actor: string } | null>} null if unauthenticated
+ */
+async function authenticateRequest(req) {
+  const credential = getCredential(req);
+  if (!credential) return null;
+
+  // ID tokens are JWTs; anything else is treated as an API key
+  if (credential.split('.').length !== 3) {
+    const actor = `api-key:${hashSecret(credential).slice(0, 8)}`;
+    if (config.adminApiKeys.some(key => safeEqual(key, credential))) return { role: 'admin', actor };
+    if (config.metricsApiKeys.some(key => safeEqual(key, credential))) return { role: 'metrics', actor };
+    return null;
+  }
+
+  if (!config.oidcAudience) {
+    logger.warn('Rejecting ID token: set OIDC_AUDIENCE or SERVICE_URL to verify OIDC tokens');
+    return null;
+  }
+
+  try {
+    const ticket = await oidcClient.verifyIdToken({ idToken: credential, audience: config.oidcAudience });
+    const { email, email_verified: emailVerified } = ticket.getPayload();
+    if (!email || !emailVerified) return null;
+    if (config.adminEmails.includes(email)) return { role: 'admin', actor: email };
+    if (email === config.tasksServiceAccount) return { role: 'scheduler', actor: email };
+    return { role: null, actor: email };
+  } catch (error) {
+    logger.warn('OIDC token verification failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Record an admin action or a rejected request. Device tokens in the path or query are redacted,
+ * and device secrets in the query are dropped.
+ */
+function auditLog(req, identity, status) {
+  const token = req.params?.token || (typeof req.query?.token === 'string' ? req.query.token : null);
+  const path = req.originalUrl.replace(/([?&]secret=)[^&]*/, '$1[redacted]');
+  const entry = {
+    at: new Date().toISOString(),
+    actor: identity?.actor || 'anonymous',
+    role: identity?.role || null,
+    method: req.method,
+    path: token
+      ? path.replace(token, redactToken(token)).replace(encodeURIComponent(token), redactToken(token))
+      : path,
+    status,
+    ip: req.ip,
+  };
+  logger.info(`[audit] ${entry.actor} ${entry.method} ${entry.path} -> ${status}`, { audit: entry });
+
+  if (config.auditLogFile) {
+    mkdir(dirname(config.auditLogFile), { recursive: true })
+      .then(() => appendFile(config.auditLogFile, `${JSON.stringify(entry)}\n`))
+      .catch(error => logger.error('Failed to write audit log:', error.message));
+  }
+}
+
+function rejectRequest(req, res, identity, status, error) {
+  auditLog(req, identity, status);
+  if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+  res.status(status).json({ error });
+}
+
+/**
+ * Middleware: allow only callers with one of `roles`. Admin actions are audited once the response is sent.
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    if (!config.authEnabled) return next();
+
+    const identity = await authenticateRequest(req);
+    if (!identity) {
+      return rejectRequest(req, res, null, 401, 'Authentication required');
+    }
+    if (!roles.includes(identity.role)) {
+      return rejectRequest(req, res, identity, 403, `Requires role: ${roles.join(' or ')}`);
+    }
+
+    req.identity = identity;
+    if (identity.role === 'admin') {
+      res.on('finish', () => auditLog(req, identity, res.statusCode));
+    }
+    next();
+  };
+}
+
+const requireAdmin = requireRole('admin');
+const requireScheduler = requireRole('admin', 'scheduler');
+
+/**
+ * Check a request may act on a device: the device's own X-Device-Secret, or an admin credential.
+ * @returns {Promise<{ status: number, error: string } | { identity: object|null }>}
+ */
+async function authorizeDeviceRequest(req, token, secret = req.get('x-device-secret')) {
+  if (getCredential(req)) {
+    const identity = await authenticateRequest(req);
+    if (!identity) return { status: 401, error: 'Authentication required' };
+    if (identity.role !== 'admin') return { status: 403, error: 'Requires role: admin' };
+    return { identity };
+  }
+
+  const device = await storage.getDevice(token);
+  if (device?.active && !device.secretHash) {
+    return { status: 401, error: 'Device has no secret yet: register again with POST /devices to get one' };
+  }
+  if (!secret) return { status: 401, error: 'Device secret required' };
+  if (!isValidDeviceSecret(device, secret)) return { status: 403, error: 'Invalid device secret' };
+  return { identity: null };
+}
+
+/**
+ * Middleware for /devices/:token routes
+ */
+async function requireDevice(req, res, next) {
+  if (!config.authEnabled) return next();
+
+  try {
+    const result = await authorizeDeviceRequest(req, req.params.token);
+    if (result.error) {
+      return rejectRequest(req, res, null, result.status, result.error);
+    }
+    if (result.identity) {
+      req.identity = result.identity;
+      res.on('finish', () => auditLog(req, result.identity, res.statusCode));
+    }
+    next();
+  } catch (error) {
+    logger.error('Error authorizing device request:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Middleware for /stream: a registered device or an admin credential. EventSource can't set
+ * headers, so besides X-Device-Secret the device may pass ?token= and ?secret=.
+ */
+async function requireStreamAccess(req, res, next) {
+  if (!config.authEnabled) return next();
+
+  const token = typeof req.query.token === 'string' ? req.query.token : null;
+  if (!token && !getCredential(req)) {
+    return rejectRequest(req, res, null, 401, 'Device token and secret, or an admin credential, required');
+  }
+
+  const secret = req.get('x-device-secret') || (typeof req.query.secret === 'string' ? req.query.secret : null);
+  try {
+    const result = await authorizeDeviceRequest(req, token, secret);
+    if (result.error) {
+      return rejectRequest(req, res, null, result.status, result.error);
+    }
+    if (result.identity) {
+      req.identity = result.identity;
+      res.on('finish', () => auditLog(req, result.identity, res.statusCode));
+    }
+    next();
+  } catch (error) {
+    logger.error('Error authorizing stream request:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ============================================
+// EXPRESS APP
+// ============================================
+
+// Routes without an auth middleware are public on purpose: /, /health, POST /devices (which guards
+// re-registration itself), and the read-only ride data routes (/parks/..., /rides/..., history and
+// stats). Those only expose what the ThemeParks Wiki feed already publishes, never device data, so
+// client apps can show them without credentials. /stream carries the same data but holds a
+// connection open, so it needs a device or admin credential to keep STREAM_MAX_CLIENTS for real clients.
+const app = express();
+app.use(express.json());
+
+// Group each request's logs: Cloud Run sends X-Cloud-Trace-Context as TRACE_ID/SPAN_ID;o=OPTIONS
+app.use((req, res, next) => {
+  const [traceId, spanPart] = (req.get('x-cloud-trace-context') || '').split('/');
+  const context = { requestId: traceId || randomUUID() };
+  if (traceId && config.projectId) {
+    context.trace = `projects/${config.projectId}/traces/${traceId}`;
+    context.spanId = spanPart?.split(';')[0];
+  }
+  logContext.run(context, next);
+});
+
+app.get('/health', (req, res) => {
+  const degradedParks = getDegradedParks();
+  if (degradedParks.length === 0) {
+    return res.status(200).json({ status: 'healthy', timestamp: new Date().toISOString() });
+  }
+  res.status(config.healthFailOnDegraded ? 503 : 200).json({
+    status: 'degraded',
+    timestamp: new Date().toISOString(),
+    degradedParks,
+  });
+});
+
+app.post('/devices', async (req, res) => {
+  const { token, platform, deviceName, locale } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Token is required' });
+  }
+  // Any BCP 47 tag is accepted; unsupported languages get English notifications
+  if (locale !== undefined && (typeof locale !== 'string' || !LOCALE_TAG_PATTERN.test(locale))) {
+    return res.status(400).json({ error: 'locale must be a language tag such as "en", "es-MX" or "ja"' });
+  }
+
+  try {
+    // Re-registering an active device needs its current secret, so a leaked token can't be taken over.
+    // Devices registered before secrets existed have none to show, so they're issued their first one
+    const existing = await storage.getDevice(token);
+    if (config.authEnabled && existing?.active && existing.secretHash) {
+      const result = await authorizeDeviceRequest(req, token);
+      if (result.error) {
+        return rejectRequest(req, res, null, result.status, result.error);
+      }
+      if (result.identity) auditLog(req, result.identity, 200);
+    }
+
+    const deviceSecret = await registerDevice(token, { platform, deviceName, locale });
+    if (existing?.active && !existing.secretHash) {
+      logger.info(`Issued a device secret to legacy device ${redactToken(token)}`);
+    }
+    // Re-registering without a locale keeps the one stored before
+    const effectiveLocale = resolveLocale(locale ?? existing?.locale);
+    logger.info(`Device registered: ${redactToken(token)} (${platform || 'ios'}, ${effectiveLocale})`);
+    res.status(200).json({
+      success: true,
+      message: 'Device registered for push notifications',
+      deviceSecret,
+      locale: effectiveLocale,
+    });
+  } catch (error) {
+    logger.error('Error registering device:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/devices/:token', requireDevice, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const updated = await unregisterDevice(token);
+    if (!updated) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(`Device unregistered: ${redactToken(token)}`);
+    res.status(200).json({ success: true, message: 'Device unregistered' });
+  } catch (error) {
+    logger.error('Error unregistering device:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Validate a subscriptions request body: { rides?: string[], parks?: string[] },
+ * or { all: true } when allowAll is set
+ */
+function parseSubscriptionBody(body = {}, { allowAll = false } = {}) {
+  const { all, rides = [], parks = [] } = body;
+  if (all !== undefined) {
+    if (!allowAll || all !== true) return { error: allowAll ? 'all must be true' : 'all is only allowed when subscribing' };
+    if (body.rides !== undefined || body.parks !== undefined) return { error: 'all cannot be combined with rides or parks' };
+    return { all: true };
+  }
+  const isStringArray = value => Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0);
+
+  if (!isStringArray(rides) || !isStringArray(parks)) {
+    return { error: 'rides and parks must be arrays of IDs' };
+  }
+  if (rides.length === 0 && parks.length === 0) {
+    return { error: 'At least one ride or park ID is required' };
+  }
+  return { rides, parks };
+}
+
+app.get('/devices/:token/subscriptions', requireDevice, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const subscriptions = await getDeviceSubscriptions(token);
+    if (!subscriptions) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    res.status(200).json({ subscriptions });
+  } catch (error) {
+    logger.error('Error fetching subscriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/devices/:token/subscriptions', requireDevice, async (req, res) => {
+  const { token } = req.params;
+  const parsed = parseSubscriptionBody(req.body, { allowAll: true });
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const subscriptions = await updateDeviceSubscriptions(token, parsed, 'add');
+    if (!subscriptions) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(parsed.all
+      ? `Subscriptions reset to every change for ${redactToken(token)}`
+      : `Subscriptions added for ${redactToken(token)}: ${parsed.rides.length} ride(s), ${parsed.parks.length} park(s)`);
+    res.status(200).json({ success: true, subscriptions });
+  } catch (error) {
+    logger.error('Error adding subscriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/devices/:token/subscriptions', requireDevice, async (req, res) => {
+  const { token } = req.params;
+  const parsed = parseSubscriptionBody(req.body);
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const subscriptions = await updateDeviceSubscriptions(token, parsed, 'remove');
+    if (!subscriptions) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(`Subscriptions removed for ${redactToken(token)}: ${parsed.rides.length} ride(s), ${parsed.parks.length} park(s)`);
+    res.status(200).json({ success: true, subscriptions });
+  } catch (error) {
+    logger.error('Error removing subscriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Validate a wait threshold body: { below?: number, above?: number } in minutes
+ */
+function parseWaitThresholdBody(body = {}) {
+  const thresholds = {};
+  for (const direction of ['below', 'above']) {
+    const value = body[direction];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `${direction} must be a non-negative whole number of minutes` };
+    }
+    thresholds[direction] = value;
+  }
+  if (Object.keys(thresholds).length === 0) {
+    return { error: 'At least one of below or above is required' };
+  }
+  return { thresholds };
+}
+
+app.get('/devices/:token/thresholds', requireDevice, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const thresholds = await getDeviceWaitThresholds(token);
+    if (!thresholds) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    res.status(200).json({ thresholds });
+  } catch (error) {
+    logger.error('Error fetching wait thresholds:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/devices/:token/thresholds/:rideId', requireDevice, async (req, res) => {
+  const { token, rideId } = req.params;
+  const parsed = parseWaitThresholdBody(req.body);
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const thresholds = await setDeviceWaitThreshold(token, rideId, parsed.thresholds);
+    if (!thresholds) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(`Wait thresholds set for ${redactToken(token)} on ride ${rideId}`);
+    res.status(200).json({ success: true, thresholds });
+  } catch (error) {
+    logger.error('Error setting wait thresholds:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/devices/:token/thresholds/:rideId', requireDevice, async (req, res) => {
+  const { token, rideId } = req.params;
+
+  try {
+    const thresholds = await setDeviceWaitThreshold(token, rideId, null);
+    if (!thresholds) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(`Wait thresholds cleared for ${redactToken(token)} on ride ${rideId}`);
+    res.status(200).json({ success: true, thresholds });
+  } catch (error) {
+    logger.error('Error clearing wait thresholds:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Validate a show subscription body: { reminderMin?: number } (default SHOW_REMINDER_MIN)
+ */
+function parseShowSubscriptionBody(body = {}) {
+  const reminderMin = body.reminderMin ?? config.showReminderMin;
+  if (!Number.isInteger(reminderMin) || reminderMin < 1 || reminderMin > 240) {
+    return { error: 'reminderMin must be a whole number of minutes between 1 and 240' };
+  }
+  return { subscription: { reminderMin } };
+}
+
+app.get('/devices/:token/shows', requireDevice, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const shows = await getDeviceShowSubscriptions(token);
+    if (!shows) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    res.status(200).json({ shows });
+  } catch (error) {
+    logger.error('Error fetching show subscriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/devices/:token/shows/:showId', requireDevice, async (req, res) => {
+  const { token, showId } = req.params;
+  const parsed = parseShowSubscriptionBody(req.body);
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const shows = await setDeviceShowSubscription(token, showId, parsed.subscription);
+    if (!shows) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(`Show subscription set for ${redactToken(token)} on show ${showId}`, { reminderMin: parsed.subscription.reminderMin });
+    res.status(200).json({ success: true, shows });
+  } catch (error) {
+    logger.error('Error setting show subscription:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/devices/:token/shows/:showId', requireDevice, async (req, res) => {
+  const { token, showId } = req.params;
+
+  try {
+    const shows = await setDeviceShowSubscription(token, showId, null);
+    if (!shows) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(`Show subscription removed for ${redactToken(token)} on show ${showId}`);
+    res.status(200).json({ success: true, shows });
+  } catch (error) {
+    logger.error('Error removing show subscription:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Validate a return-time subscription body:
+ * { queues?: ["RETURN_TIME" | "PAID_RETURN_TIME"], earlierThan?: "HH:MM" | null } (default: both queues)
+ */
+function parseReturnTimeSubscriptionBody(body = {}) {
+  const queues = body.queues ?? RETURN_TIME_QUEUES;
+  if (!Array.isArray(queues) || queues.length === 0 || !queues.every(queue => RETURN_TIME_QUEUES.includes(queue))) {
+    return { error: `queues must be a non-empty list of: ${RETURN_TIME_QUEUES.join(', ')}` };
+  }
+  const earlierThan = body.earlierThan ?? null;
+  if (earlierThan !== null && parseClockTime(earlierThan) === null) {
+    return { error: 'earlierThan must be a park local time as "HH:MM"' };
+  }
+  return { subscription: { queues: [...new Set(queues)], earlierThan } };
+}
+
+app.get('/devices/:token/return-times', requireDevice, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const returnTimes = await getDeviceReturnTimeSubscriptions(token);
+    if (!returnTimes) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    res.status(200).json({ returnTimes });
+  } catch (error) {
+    logger.error('Error fetching return-time subscriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/devices/:token/return-times/:rideId', requireDevice, async (req, res) => {
+  const { token, rideId } = req.params;
+  const parsed = parseReturnTimeSubscriptionBody(req.body);
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const returnTimes = await setDeviceReturnTimeSubscription(token, rideId, parsed.subscription);
+    if (!returnTimes) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(`Return-time subscription set for ${redactToken(token)} on ride ${rideId}`, parsed.subscription);
+    res.status(200).json({ success: true, returnTimes });
+  } catch (error) {
+    logger.error('Error setting return-time subscription:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/devices/:token/return-times/:rideId', requireDevice, async (req, res) => {
+  const { token, rideId } = req.params;
+
+  try {
+    const returnTimes = await setDeviceReturnTimeSubscription(token, rideId, null);
+    if (!returnTimes) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(`Return-time subscription removed for ${redactToken(token)} on ride ${rideId}`);
+    res.status(200).json({ success: true, returnTimes });
+  } catch (error) {
+    logger.error('Error removing return-time subscription:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Validate a boarding group body: { group?: number | null, within?: number } (default BOARDING_GROUP_WITHIN).
+ * Without a group the device only gets allocation alerts for the ride.
+ */
+function parseBoardingGroupBody(body = {}) {
+  const group = body.group ?? null;
+  if (group !== null && (!Number.isInteger(group) || group < 1)) {
+    return { error: 'group must be a positive whole number' };
+  }
+  const within = body.within ?? config.boardingGroupWithin;
+  if (!Number.isInteger(within) || within < 0 || within > 500) {
+    return { error: 'within must be a whole number of groups between 0 and 500' };
+  }
+  return { registration: { group, within, notified: [] } };
+}
+
+app.get('/devices/:token/boarding-groups', requireDevice, async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const boardingGroups = await getDeviceBoardingGroups(token);
+    if (!boardingGroups) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    res.status(200).json({ boardingGroups });
+  } catch (error) {
+    logger.error('Error fetching boarding groups:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/devices/:token/boarding-groups/:rideId', requireDevice, async (req, res) => {
+  const { token, rideId } = req.params;
+  const parsed = parseBoardingGroupBody(req.body);
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const boardingGroups = await setDeviceBoardingGroup(token, rideId, parsed.registration);
+    if (!boardingGroups) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(`Boarding group set for ${redactToken(token)} on ride ${rideId}`, { group: parsed.registration.group, within: parsed.registration.within });
+    res.status(200).json({ success: true, boardingGroups });
+  } catch (error) {
+    logger.error('Error setting boarding group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/devices/:token/boarding-groups/:rideId', requireDevice, async (req, res) => {
+  const { token, rideId } = req.params;
+
+  try {
+    const boardingGroups = await setDeviceBoardingGroup(token, rideId, null);
+    if (!boardingGroups) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(`Boarding group removed for ${redactToken(token)} on ride ${rideId}`);
+    res.status(200).json({ success: true, boardingGroups });
+  } catch (error) {
+    logger.error('Error removing boarding group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const RIDE_STATUSES = ['OPERATING', 'DOWN', 'CLOSED', 'REFURBISHMENT'];
+
+/**
+ * Validate a preferences body:
+ * { quietHours?: { start: "HH:MM", end: "HH:MM", timezone: string } | null, mutedStatuses?: string[] }
+ */
+function parsePreferencesBody(body = {}) {
+  const fields = {};
+  const { quietHours, mutedStatuses } = body;
+
+  if (quietHours === null) {
+    fields.quietHours = null;
+  } else if (quietHours !== undefined) {
+    const { start, end, timezone } = quietHours;
+    if (parseClockTime(start) === null || parseClockTime(end) === null) {
+      return { error: 'quietHours.start and quietHours.end must be times like "22:00"' };
+    }
+    if (start === end) {
+      return { error: 'quietHours.start and quietHours.end must differ' };
+    }
+    if (typeof timezone !== 'string') {
+      return { error: 'quietHours.timezone is required, e.g. "America/New_York"' };
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      return { error: `Unknown timezone: ${timezone}` };
+    }
+    fields.quietHours = { start, end, timezone };
+  }
+
+  if (mutedStatuses !== undefined) {
+    if (!Array.isArray(mutedStatuses) || !mutedStatuses.every(status => RIDE_STATUSES.includes(status))) {
+      return { error: `mutedStatuses must be an array of ${RIDE_STATUSES.join(', ')}` };
     }
-    console.error('Failed to schedule next check:', error.message);
-    return { scheduled: false, reason: error.message };
+    fields.mutedStatuses = [...new Set(mutedStatuses)];
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return { error: 'Provide quietHours and/or mutedStatuses' };
   }
+  return { fields };
 }
 
-// ============================================
-// MAIN STATUS CHECK
-// ============================================
+app.get('/devices/:token/preferences', requireDevice, async (req, res) => {
+  const { token } = req.params;
 
-async function checkStatusChanges() {
-  // Initialize cache on first run
-  await initializeStatusCache();
+  try {
+    const preferences = await getDevicePreferences(token);
+    if (!preferences) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    res.status(200).json({ preferences, quietHoursActive: isInQuietHours(preferences) });
+  } catch (error) {
+    logger.error('Error fetching preferences:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  if (config.parkIds.length === 0) {
-    console.warn('No park IDs configured');
-    return { checked: 0, changes: 0, ridesDown: 0, firestoreWrites: 0, notifications: null };
+app.put('/devices/:token/preferences', requireDevice, async (req, res) => {
+  const { token } = req.params;
+  const parsed = parsePreferencesBody(req.body);
+
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
   }
 
-  let totalChecked = 0;
-  let totalChanges = 0;
-  let ridesDown = 0;
-  let firestoreWrites = 0;
-  const statusChanges = [];
-  const nonOperatingRides = [];
+  try {
+    const preferences = await updateDevicePreferences(token, parsed.fields);
+    if (!preferences) {
+      return res.status(404).json({ error: 'Device not registered' });
+    }
+    logger.info(`Preferences updated for ${redactToken(token)}`, { fields: Object.keys(parsed.fields) });
+    res.status(200).json({ success: true, preferences, quietHoursActive: isInQuietHours(preferences) });
+  } catch (error) {
+    logger.error('Error updating preferences:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  for (const parkId of config.parkIds) {
-    try {
-      const liveData = await fetchParkLiveData(parkId);
+app.get('/devices', requireAdmin, async (req, res) => {
+  try {
+    const devices = await getDeviceTokens();
+    res.status(200).json({
+      count: devices.length,
+      devices: devices.map(d => ({
+        token: redactToken(d.token),
+        platform: d.platform,
+        locale: resolveLocale(d.locale),
+        registeredAt: d.registeredAt,
+        subscriptions: {
+          rides: d.subscriptions?.rides || [],
+          parks: d.subscriptions?.parks || [],
+        },
+      })),
+    });
+  } catch (error) {
+    logger.error('Error listing devices:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      if (!liveData.liveData || !Array.isArray(liveData.liveData)) {
-        console.warn(`No live data array for park ${parkId}`);
-        continue;
-      }
+/**
+ * Parse history query params: ?from=&to= (ISO dates), ?limit=, ?cursor=
+ */
+function parseHistoryQuery(query = {}) {
+  const options = {};
 
-      const attractions = liveData.liveData.filter(
-        entity => entity.entityType === 'ATTRACTION'
-      );
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const time = Date.parse(query[key]);
+    if (Number.isNaN(time)) {
+      return { error: `${key} must be an ISO 8601 date` };
+    }
+    options[key] = new Date(time).toISOString();
+  }
 
-      console.log(`Found ${attractions.length} attractions in park ${parkId}`);
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+      return { error: `limit must be between 1 and ${HISTORY_MAX_LIMIT}` };
+    }
+    options.limit = limit;
+  }
 
-      for (const attraction of attractions) {
-        const rideId = attraction.id;
-        const rideName = attraction.name;
-        const currentStatus = attraction.status || 'UNKNOWN';
+  if (query.cursor) options.cursor = query.cursor;
+  return { options };
+}
 
-        if (!shouldMonitorRide(rideName)) continue;
+async function handleHistoryRequest(field, value, req, res) {
+  const parsed = parseHistoryQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
 
-        totalChecked++;
+  try {
+    const result = await storage.queryTransitions(field, value, parsed.options);
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    res.status(200).json({
+      count: result.transitions.length,
+      transitions: result.transitions,
+      nextCursor: result.nextCursor,
+    });
+  } catch (error) {
+    logger.error('Error querying history:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
 
-        if (isDownStatus(currentStatus)) {
-          ridesDown++;
-          nonOperatingRides.push({ name: rideName, status: currentStatus });
-        }
+app.get('/stream', requireStreamAccess, async (req, res) => {
+  if (streamClients.size >= config.streamMaxClients) {
+    return res.status(503).json({ error: 'Too many stream clients' });
+  }
 
-        // Get previous status from cache (no Firestore read!)
-        const previousData = getPreviousStatus(rideId);
-        const previousStatus = previousData?.status;
+  const parseList = value => (typeof value === 'string' ? value.split(',').filter(Boolean) : []);
+  // Browsers send Last-Event-ID on reconnect; the query param lets a fresh EventSource resume too
+  const lastEventId = req.get('last-event-id') || req.query.lastEventId || null;
+  const client = {
+    res,
+    parks: parseList(req.query.parks),
+    rides: parseList(req.query.rides),
+    buffer: lastEventId ? [] : null,
+  };
 
-        // Detect changes
-        if (previousStatus && previousStatus !== currentStatus) {
-          console.log(`Status change detected: ${rideName} (${previousStatus} → ${currentStatus})`);
-          totalChanges++;
-          statusChanges.push({
-            rideId,
-            rideName,
-            oldStatus: previousStatus,
-            newStatus: currentStatus,
-          });
-        }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 5000\n\n');
 
-        // Save to cache + Firestore (only writes if changed)
-        const didWrite = await saveStatus(rideId, currentStatus, rideName);
-        if (didWrite) firestoreWrites++;
+  streamClients.add(client);
+  startStreamTimers();
+  logger.info(`Stream client connected (${streamClients.size} total)`);
+  req.on('close', () => {
+    streamClients.delete(client);
+    stopStreamTimers();
+    logger.info(`Stream client disconnected (${streamClients.size} total)`);
+  });
+
+  try {
+    await initializeStatusCache();
+
+    if (lastEventId) {
+      let lastSentId = lastEventId;
+      for (const [id, transition] of await getMissedTransitions(client, lastEventId)) {
+        writeStreamEvent(res, 'transition', transition, id);
+        lastSentId = id;
+      }
+      // Flush what was detected meanwhile, skipping anything the history already covered
+      for (const transition of client.buffer) {
+        const id = getTransitionEventId(transition);
+        if (id > lastSentId) writeStreamEvent(res, 'transition', transition, id);
       }
-    } catch (error) {
-      console.error(`Error processing park ${parkId}:`, error.message);
     }
+  } catch (error) {
+    logger.error('Error resuming stream:', error.message);
+  } finally {
+    client.buffer = null;
   }
 
-  // Log non-operating rides
-  if (nonOperatingRides.length > 0) {
-    console.log(`Non-operating rides (${nonOperatingRides.length}):`);
-    for (const ride of nonOperatingRides) {
-      console.log(`  - ${ride.name}: ${ride.status}`);
-    }
-  } else {
-    console.log('All monitored rides are operating');
+  writeStreamEvent(res, 'snapshot', buildStreamSnapshot(client));
+});
+
+app.get('/parks', async (req, res) => {
+  try {
+    await initializeStatusCache();
+    const parks = await Promise.all(config.parkIds.map(async parkId => {
+      const catalog = await getParkCatalog(parkId);
+      const rides = catalog ? [...catalog.rides.values()].map(ride => buildRideView(ride.id, parkId, ride)) : [];
+      return {
+        id: parkId,
+        name: catalog?.park.name || null,
+        timezone: catalog?.park.timezone || null,
+        open: isParkOpen(parkId),
+        rideCount: rides.length,
+        monitoredRides: rides.filter(ride => ride.monitored).length,
+        ridesDown: rides.filter(ride => ride.monitored && isDownStatus(ride.status)).length,
+      };
+    }));
+    sendWithEtag(req, res, parks, { count: parks.length, parks });
+  } catch (error) {
+    logger.error('Error listing parks:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Send push notifications for status changes
-  let notificationResults = null;
-  if (statusChanges.length > 0) {
-    if (statusChanges.length <= 3) {
-      for (const change of statusChanges) {
-        const title = getNotificationTitle(change.newStatus);
-        const body = formatStatusMessage(change.rideName, change.oldStatus, change.newStatus);
-        notificationResults = await sendPushNotification(title, body, {
-          rideId: change.rideId,
-          rideName: change.rideName,
-          oldStatus: change.oldStatus,
-          newStatus: change.newStatus,
-          type: 'status_change',
-        });
-      }
-    } else {
-      const messages = statusChanges.map(change =>
-        `• ${change.rideName}: ${change.oldStatus} → ${change.newStatus}`
-      );
-      const title = `${statusChanges.length} Ride Status Changes`;
-      const body = messages.join('\n');
-      notificationResults = await sendPushNotification(title, body, {
-        type: 'status_change_summary',
-        count: statusChanges.length.toString(),
-      });
+app.get('/parks/:parkId/rides', async (req, res) => {
+  const { parkId } = req.params;
+  if (!config.parkIds.includes(parkId)) {
+    return res.status(404).json({ error: 'Park is not monitored' });
+  }
+
+  try {
+    await initializeStatusCache();
+    const catalog = await getParkCatalog(parkId);
+    if (!catalog) {
+      return res.status(502).json({ error: 'Park catalog is unavailable from ThemeParks Wiki' });
     }
+
+    const rides = [...catalog.rides.values()]
+      .map(ride => buildRideView(ride.id, parkId, ride))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const now = clock.now();
+    sendWithEtag(req, res, { park: catalog.park, rides }, {
+      park: catalog.park,
+      count: rides.length,
+      rides: rides.map(ride => withLiveFields(ride, now)),
+    });
+  } catch (error) {
+    logger.error('Error listing park rides:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  return {
-    checked: totalChecked,
-    changes: totalChanges,
-    ridesDown,
-    firestoreWrites,
-    cacheSize: statusCache.size,
-    notifications: notificationResults,
-  };
-}
+/**
+ * Shows and today's showtimes as of this instance's last check
+ */
+app.get('/parks/:parkId/shows', (req, res) => {
+  const { parkId } = req.params;
+  if (!config.parkIds.includes(parkId)) {
+    return res.status(404).json({ error: 'Park is not monitored' });
+  }
 
-// ============================================
-// EXPRESS APP
-// ============================================
+  const shows = [...showCache.entries()]
+    .filter(([, show]) => show.parkId === parkId)
+    .map(([id, show]) => ({ id, name: show.name, status: show.status, showtimes: show.showtimes }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  sendWithEtag(req, res, shows, { parkId, count: shows.length, shows });
+});
 
-const app = express();
-app.use(express.json());
+app.get('/rides/:rideId', async (req, res) => {
+  const { rideId } = req.params;
 
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'healthy', timestamp: new Date().toISOString() });
+  try {
+    await initializeStatusCache();
+    const found = await findRideInCatalog(rideId);
+    if (!found && !statusCache.has(rideId)) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
+
+    const ride = buildRideView(rideId, found?.parkId || statusCache.get(rideId)?.parkId || null, found?.ride);
+    sendWithEtag(req, res, ride, withLiveFields(ride));
+  } catch (error) {
+    logger.error('Error fetching ride:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.post('/devices', async (req, res) => {
-  const { token, platform, deviceName } = req.body;
+app.get('/rides/:rideId/history', (req, res) => handleHistoryRequest('rideId', req.params.rideId, req, res));
 
-  if (!token) {
-    return res.status(400).json({ error: 'Token is required' });
+app.get('/parks/:parkId/history', (req, res) => handleHistoryRequest('parkId', req.params.parkId, req, res));
+
+/**
+ * Parse the optional ?from= (ISO date) query param for stats. Defaults to the last
+ * STATS_DEFAULT_DAYS days, and anything older than STATS_MAX_DAYS is clamped to it.
+ */
+function parseStatsFrom(query = {}) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const earliest = Date.now() - STATS_MAX_DAYS * dayMs;
+  if (!query.from) return { from: new Date(Date.now() - STATS_DEFAULT_DAYS * dayMs).toISOString() };
+  const time = Date.parse(query.from);
+  if (Number.isNaN(time)) {
+    return { error: 'from must be an ISO 8601 date' };
+  }
+  return { from: new Date(Math.max(time, earliest)).toISOString() };
+}
+
+app.get('/rides/:rideId/stats', async (req, res) => {
+  const parsed = parseStatsFrom(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
   }
 
   try {
-    await registerDevice(token, { platform, deviceName });
-    console.log(`Device registered: ${token.slice(0, 20)}... (${platform || 'ios'})`);
-    res.status(200).json({
-      success: true,
-      message: 'Device registered for push notifications',
-    });
+    await initializeStatusCache();
+    const stats = await getRideStats(req.params.rideId, parsed.from);
+    res.status(200).json({ timezone: config.statsTimezone, from: parsed.from, ...stats });
   } catch (error) {
-    console.error('Error registering device:', error);
+    logger.error('Error computing ride stats:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/devices/:token', async (req, res) => {
-  const { token } = req.params;
+app.get('/parks/:parkId/stats', async (req, res) => {
+  const parsed = parseStatsFrom(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
 
   try {
-    await unregisterDevice(token);
-    console.log(`Device unregistered: ${token.slice(0, 20)}...`);
-    res.status(200).json({ success: true, message: 'Device unregistered' });
+    await initializeStatusCache();
+    const stats = await getParkStats(req.params.parkId, parsed.from);
+    res.status(200).json({ timezone: config.statsTimezone, from: parsed.from, count: stats.rides.length, ...stats });
   } catch (error) {
-    console.error('Error unregistering device:', error);
+    logger.error('Error computing park stats:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/devices', async (req, res) => {
+app.post('/channels/:name/test', requireAdmin, async (req, res) => {
+  const channel = notificationChannels.find(c => c.name === req.params.name);
+  if (!channel) {
+    return res.status(404).json({ error: 'Unknown notification channel' });
+  }
+
+  // Sample alert sent straight to the channel, bypassing its filters
+  const alerts = {
+    statusChanges: [{
+      rideId: 'test',
+      rideName: req.body?.rideName || 'Test Ride',
+      parkId: 'test',
+      parkName: 'Test Park',
+      oldStatus: 'OPERATING',
+      newStatus: 'DOWN',
+    }],
+  };
+
   try {
-    const devices = await getDeviceTokens();
-    res.status(200).json({
-      count: devices.length,
-      devices: devices.map(d => ({
-        token: `${d.token.slice(0, 20)}...`,
-        platform: d.platform,
-        registeredAt: d.registeredAt,
-      })),
-    });
+    const result = await channel.send(alerts);
+    res.status(200).json({ success: true, channel: channel.name, result });
   } catch (error) {
-    console.error('Error listing devices:', error);
-    res.status(500).json({ error: error.message });
+    logger.error(`Error testing channel ${channel.name}:`, error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/check', async (req, res) => {
+app.post('/check', requireScheduler, async (req, res) => {
   const startTime = Date.now();
   const { startedAt } = req.body || {};
 
-  // Check if we're in bedtime mode - skip status check and schedule wake-up
-  if (isBedtime()) {
-    console.log(`Bedtime mode active (${config.bedtimeStart}:00 - ${config.bedtimeEnd}:00 ${config.bedtimeTimezone})`);
+  // Check if every park is closed - skip status check and schedule wake-up
+  await loadRuntimeSettings();
+  await refreshParkSchedules();
+  const polling = getPollingState();
+  if (polling.sleeping) {
+    logger.info(`All parks closed, sleeping until ${new Date(polling.wakeAt).toISOString()}`);
     const scheduleResult = await scheduleNextCheck(config.checkIntervalSec, startedAt);
     const duration = Date.now() - startTime;
 
     return res.status(200).json({
       success: true,
       bedtime: true,
-      message: `Skipping check - bedtime mode (${config.bedtimeStart}:00 - ${config.bedtimeEnd}:00)`,
+      message: `Skipping check - all parks closed until ${new Date(polling.wakeAt).toISOString()}`,
       nextCheckSec: scheduleResult.delaySeconds,
       scheduleReason: scheduleResult.reason,
       shutdown: scheduleResult.shutdown || false,
@@ -683,70 +5796,120 @@ app.post('/check', async (req, res) => {
     });
   }
 
-  console.log('Starting ride status check...');
+  logger.info('Starting ride status check...');
 
   try {
-    const result = await checkStatusChanges();
+    const result = await runExclusiveCheck();
+    if (!result) {
+      // The running check schedules the next one, so answer 2xx: an error would make
+      // Cloud Tasks retry this task and start a second scheduling chain
+      logger.info('Previous check still running, skipping this one');
+      return res.status(200).json({ success: true, skipped: true, message: 'A check is already in progress' });
+    }
     const duration = Date.now() - startTime;
 
-    console.log(`Check complete: ${result.checked} rides, ${result.changes} changes, ${result.firestoreWrites} writes (${duration}ms)`);
+    logCheckComplete(result, duration);
 
     const scheduleResult = await scheduleNextCheck(config.checkIntervalSec, startedAt);
+    // Without Cloud Tasks, report the interval it would have used
+    const nextCheck = scheduleResult.scheduled ? scheduleResult : getNextCheckDelay(config.checkIntervalSec);
 
     res.status(200).json({
       success: true,
       bedtime: false,
+      checkId: result.checkId,
       ridesChecked: result.checked,
       statusChanges: result.changes,
+      briefOutages: result.briefOutages,
+      waitAlerts: result.waitAlerts,
+      returnTimeAlerts: result.returnTimeAlerts,
+      boardingGroupAlerts: result.boardingGroupAlerts,
       ridesDown: result.ridesDown,
       firestoreWrites: result.firestoreWrites,
       cacheSize: result.cacheSize,
       notifications: result.notifications,
-      nextCheckSec: scheduleResult.delaySeconds || config.checkIntervalSec,
-      scheduleReason: scheduleResult.reason,
+      catchUpSummaries: result.catchUpSummaries,
+      showAlerts: result.showAlerts,
+      parks: result.parks,
+      parksSkipped: result.parksSkipped,
+      degradedParks: result.degradedParks,
+      nextCheckSec: nextCheck.delaySeconds,
+      scheduleReason: nextCheck.reason,
+      scheduled: scheduleResult.scheduled,
       shutdown: scheduleResult.shutdown || false,
       durationMs: duration,
     });
   } catch (error) {
-    console.error('Error during status check:', error);
+    logger.error('Error during status check:', error);
     await scheduleNextCheck(config.checkIntervalSec, startedAt);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/check', async (req, res) => {
-  console.log('Starting ride status check (GET)...');
+app.get('/check', requireAdmin, async (req, res) => {
+  logger.info('Starting ride status check (GET)...');
   const startTime = Date.now();
 
   try {
-    const result = await checkStatusChanges();
+    const result = await runExclusiveCheck();
+    if (!result) {
+      return res.status(409).json({ success: false, error: 'A check is already in progress' });
+    }
     const duration = Date.now() - startTime;
+    const nextCheck = getNextCheckDelay(config.checkIntervalSec);
 
-    console.log(`Check complete: ${result.checked} rides, ${result.changes} changes, ${result.firestoreWrites} writes (${duration}ms)`);
+    logCheckComplete(result, duration);
 
     res.status(200).json({
       success: true,
+      checkId: result.checkId,
       ridesChecked: result.checked,
       statusChanges: result.changes,
+      briefOutages: result.briefOutages,
+      waitAlerts: result.waitAlerts,
+      returnTimeAlerts: result.returnTimeAlerts,
+      boardingGroupAlerts: result.boardingGroupAlerts,
       ridesDown: result.ridesDown,
       firestoreWrites: result.firestoreWrites,
       cacheSize: result.cacheSize,
       notifications: result.notifications,
-      nextCheckSec: config.checkIntervalSec,
+      catchUpSummaries: result.catchUpSummaries,
+      showAlerts: result.showAlerts,
+      parks: result.parks,
+      parksSkipped: result.parksSkipped,
+      degradedParks: result.degradedParks,
+      nextCheckSec: nextCheck.delaySeconds,
+      scheduleReason: nextCheck.reason,
       durationMs: duration,
       note: 'GET request - next check not auto-scheduled',
     });
   } catch (error) {
-    console.error('Error during status check:', error);
+    logger.error('Error during status check:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/start', async (req, res) => {
+app.post('/start', requireScheduler, async (req, res) => {
+  if (config.localScheduling) {
+    const started = startLocalScheduler();
+    const state = getLocalSchedulerState();
+    return res.status(started ? 200 : 409).json({
+      success: started,
+      message: started ? 'Local scheduler started' : 'Local scheduler already running',
+      startedAt: state.startedAt,
+      maxRuntimeHours: config.maxRuntimeHours,
+      scheduledShutdownAt: config.maxRuntimeHours
+        ? new Date(Date.parse(state.startedAt) + config.maxRuntimeHours * 60 * 60 * 1000).toISOString()
+        : null,
+      scheduler: state,
+    });
+  }
+
   const startedAt = new Date().toISOString();
-  console.log('Starting scheduling loop...');
+  logger.info('Starting scheduling loop...');
+  metrics.schedulerShutdown.set({}, 0);
   if (config.maxRuntimeHours) {
-    console.log(`Max runtime: ${config.maxRuntimeHours} hours (will stop at ${new Date(Date.now() + config.maxRuntimeHours * 60 * 60 * 1000).toISOString()})`);
+    logger.info(`Max runtime: ${config.maxRuntimeHours} hours (will stop at ${new Date(Date.now() + config.maxRuntimeHours * 60 * 60 * 1000).toISOString()})`);
   }
 
   try {
@@ -762,12 +5925,33 @@ app.post('/start', async (req, res) => {
       nextCheck: scheduleResult,
     });
   } catch (error) {
-    console.error('Error starting scheduling loop:', error);
+    logger.error('Error starting scheduling loop:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/cache', (req, res) => {
+app.post('/stop', requireAdmin, (req, res) => {
+  if (!config.localScheduling) {
+    return res.status(400).json({
+      success: false,
+      error: 'Stopping is only supported with LOCAL_SCHEDULING=true',
+    });
+  }
+
+  const stopped = stopLocalScheduler();
+  res.status(stopped ? 200 : 409).json({
+    success: stopped,
+    message: stopped ? 'Local scheduler stopped' : 'Local scheduler not running',
+    scheduler: getLocalSchedulerState(),
+  });
+});
+
+app.get('/metrics', requireRole('admin', 'metrics'), (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.status(200).send(renderMetrics());
+});
+
+app.get('/cache', requireAdmin, (req, res) => {
   res.status(200).json({
     statusCache: {
       size: statusCache.size,
@@ -781,6 +5965,82 @@ app.get('/cache', (req, res) => {
   });
 });
 
+app.get('/config', requireAdmin, async (req, res) => {
+  await loadRuntimeSettings({ force: true });
+  res.status(200).json(getRuntimeSettings());
+});
+
+app.get('/config/parks', requireAdmin, async (req, res) => {
+  await loadRuntimeSettings({ force: true });
+  const { parkIds, source, updatedAt, updatedBy } = getRuntimeSettings();
+  res.status(200).json({ parkIds, source, updatedAt, updatedBy });
+});
+
+app.put('/config/parks', requireAdmin, async (req, res) => {
+  try {
+    await loadRuntimeSettings({ force: true });
+    const validated = await validateParkIds(req.body?.parkIds);
+    if (validated.error) {
+      return res.status(validated.status).json({ error: validated.error });
+    }
+
+    const added = validated.parkIds.filter(id => !config.parkIds.includes(id));
+    const removed = config.parkIds.filter(id => !validated.parkIds.includes(id));
+    await saveRuntimeSettings({ parkIds: validated.parkIds }, req.identity?.actor);
+    logger.info(`Parks updated: +[${added.join(', ')}] -[${removed.join(', ')}]`);
+
+    res.status(200).json({ success: true, parkIds: config.parkIds, added, removed });
+  } catch (error) {
+    logger.error('Error updating parks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/config/rides', requireAdmin, async (req, res) => {
+  await loadRuntimeSettings({ force: true });
+  const { watchedRides, source, updatedAt, updatedBy } = getRuntimeSettings();
+  res.status(200).json({ watchedRides, source, updatedAt, updatedBy });
+});
+
+app.put('/config/rides', requireAdmin, async (req, res) => {
+  const validated = validateWatchedRides(req.body?.watchedRides);
+  if (validated.error) {
+    return res.status(400).json({ error: validated.error });
+  }
+
+  try {
+    await saveRuntimeSettings({ watchedRides: validated.watchedRides }, req.identity?.actor);
+    logger.info(`Watched rides updated: ${config.watchedRides.length || 'all'}`);
+    res.status(200).json({ success: true, watchedRides: config.watchedRides });
+  } catch (error) {
+    logger.error('Error updating watched rides:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/config/schedule', requireAdmin, async (req, res) => {
+  await loadRuntimeSettings({ force: true });
+  const { checkIntervalSec, bedtime, source, updatedAt, updatedBy } = getRuntimeSettings();
+  res.status(200).json({ checkIntervalSec, bedtime, source, updatedAt, updatedBy });
+});
+
+app.put('/config/schedule', requireAdmin, async (req, res) => {
+  const validated = validateScheduleSettings(req.body);
+  if (validated.error) {
+    return res.status(400).json({ error: validated.error });
+  }
+
+  try {
+    await saveRuntimeSettings(validated.fields, req.identity?.actor);
+    logger.info(`Schedule settings updated: ${Object.keys(validated.fields).join(', ')}`);
+    const { checkIntervalSec, bedtime } = getRuntimeSettings();
+    res.status(200).json({ success: true, checkIntervalSec, bedtime });
+  } catch (error) {
+    logger.error('Error updating schedule settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/', (req, res) => {
   res.json({
     name: 'ride-watch',
@@ -789,16 +6049,85 @@ app.get('/', (req, res) => {
       '/health': 'Health check',
       '/check': 'Trigger status check (POST auto-schedules next, GET does not)',
       '/start': 'Start the scheduling loop (POST)',
+      '/stop': 'Stop the local scheduling loop (POST)',
       '/devices': 'Register (POST), unregister (DELETE), or list (GET) devices',
+      '/devices/:token/subscriptions': 'View (GET), add (POST) or remove (DELETE) ride/park subscriptions',
+      '/devices/:token/thresholds/:rideId': 'Set (PUT) or clear (DELETE) wait time alert thresholds',
+      '/devices/:token/preferences': 'Get (GET) or set (PUT) quiet hours and muted statuses',
+      '/devices/:token/shows/:showId': 'Subscribe (PUT) to or unsubscribe (DELETE) from showtime reminders, cancellations and delays',
+      '/devices/:token/return-times/:rideId': 'Subscribe (PUT) to or unsubscribe (DELETE) from Lightning Lane return-time alerts',
+      '/devices/:token/boarding-groups/:rideId': 'Register (PUT) or remove (DELETE) a boarding group for virtual queue alerts',
       '/cache': 'View cache stats',
+      '/metrics': 'Prometheus metrics (GET)',
+      '/stream': 'Server-Sent Events: status transitions, snapshots and heartbeats (GET)',
+      '/parks': 'Monitored parks with names and ride counts (GET)',
+      '/parks/:parkId/rides': 'Rides in a park with status, wait time and time in state (GET)',
+      '/parks/:parkId/shows': 'Shows in a park with status and today\'s showtimes (GET)',
+      '/rides/:rideId': 'A ride\'s current status, wait time and time in state (GET)',
+      '/rides/:rideId/history': 'Status transition history for a ride (GET)',
+      '/parks/:parkId/history': 'Status transition history for a park (GET)',
+      '/rides/:rideId/stats': 'Uptime, DOWN events, downtime and MTBF for a ride (GET)',
+      '/parks/:parkId/stats': 'Rides in a park ranked by reliability (GET)',
+      '/channels/:name/test': 'Send a test alert through a notification channel (POST)',
+      '/config': 'Runtime monitoring settings (GET), edit via /config/parks, /config/rides, /config/schedule (PUT)',
     },
     config: {
       parksMonitored: config.parkIds.length,
       watchedRides: config.watchedRides.length || 'all',
       pushEnabled: firebaseInitialized,
       dynamicScheduling: config.dynamicScheduling,
+      storageBackend: storage.name,
       checkIntervalSec: config.checkIntervalSec,
+      adaptivePolling: config.adaptivePolling
+        ? { fastSec: config.fastCheckIntervalSec, slowSec: config.slowCheckIntervalSec, maxBackoffSec: config.maxBackoffSec }
+        : false,
       maxRuntimeHours: config.maxRuntimeHours,
+      waitHysteresisMin: config.waitHysteresisMin,
+      confirmDown: { checks: config.downConfirmChecks, seconds: config.downConfirmSec },
+      confirmUp: { checks: config.upConfirmChecks, seconds: config.upConfirmSec },
+    },
+    auth: {
+      enabled: config.authEnabled,
+      apiKeys: config.adminApiKeys.length,
+      adminIdentities: config.adminEmails.length,
+      tasksServiceAccount: config.tasksServiceAccount,
+    },
+    scheduler: {
+      mode: getSchedulerMode(),
+      local: config.localScheduling ? getLocalSchedulerState() : null,
+    },
+    channels: notificationChannels.map(channel => ({
+      name: channel.name,
+      type: channel.type,
+      filters: channel.filters,
+      retry: channel.retry,
+    })),
+    upstream: {
+      timeoutMs: config.fetchTimeoutMs,
+      retries: config.fetchRetries,
+      circuitFailureThreshold: config.circuitFailureThreshold,
+      circuitResetSec: config.circuitResetSec,
+      circuits: getParkCircuitStates(),
+    },
+    parkHours: {
+      enabled: config.parkHoursEnabled,
+      bufferMin: config.parkHoursBufferMin,
+      parks: config.parkIds.map(parkId => {
+        const schedule = scheduleCache.get(parkId);
+        const now = Date.now();
+        const upcoming = schedule?.windows.filter(w => w.end > now && w.start < now + 24 * 60 * 60 * 1000) || [];
+        return {
+          parkId,
+          timezone: schedule?.timezone || null,
+          source: getParkWindows(parkId) ? 'schedule' : 'bedtime',
+          open: isParkOpen(parkId, now),
+          upcoming: upcoming.map(w => ({
+            type: w.type,
+            opens: new Date(w.start).toISOString(),
+            closes: new Date(w.end).toISOString(),
+          })),
+        };
+      }),
     },
     bedtime: {
       enabled: config.bedtimeEnabled,
@@ -815,19 +6144,48 @@ app.get('/', (req, res) => {
   });
 });
 
-app.listen(config.port, () => {
-  console.log(`ride-watch service listening on port ${config.port}`);
-  console.log(`Monitoring ${config.parkIds.length} park(s)`);
-  console.log(`Watching ${config.watchedRides.length || 'all'} ride(s)`);
-  console.log(`Push notifications: ${firebaseInitialized ? 'enabled' : 'disabled'}`);
-  console.log(`Check interval: ${config.checkIntervalSec}s`);
-  console.log(`Dynamic scheduling: ${config.dynamicScheduling ? 'enabled' : 'disabled'}`);
-  if (config.maxRuntimeHours) {
-    console.log(`Max runtime: ${config.maxRuntimeHours} hours`);
-  }
-  if (config.bedtimeEnabled) {
-    console.log(`Bedtime: ${config.bedtimeStart}:00 - ${config.bedtimeEnd}:00 ${config.bedtimeTimezone}`);
-  } else {
-    console.log('Bedtime: disabled');
+if (replayCommand) {
+  runReplay(replayCommand)
+    .then(() => process.exit(0))
+    .catch(error => {
+      logger.error('Replay failed:', error.message);
+      process.exit(1);
+    });
+} else {
+  // Cloud Tasks calls would all be rejected, silently stopping the check loop
+  if (config.dynamicScheduling && config.authEnabled && !config.tasksServiceAccount) {
+    logger.error('AUTH_ENABLED with DYNAMIC_SCHEDULING requires TASKS_SERVICE_ACCOUNT, or Cloud Tasks calls to /check are rejected');
+    process.exit(1);
   }
-});
+
+  await loadRuntimeSettings({ force: true });
+  app.listen(config.port, () => {
+    logger.info(`ride-watch service listening on port ${config.port}`);
+    logger.info(`Monitoring ${config.parkIds.length} park(s)`);
+    logger.info(`Watching ${config.watchedRides.length || 'all'} ride(s)`);
+    logger.info(`Push notifications: ${firebaseInitialized ? 'enabled' : 'disabled'}`);
+    logger.info(`Notification channels: ${notificationChannels.map(channel => `${channel.name} (${channel.type})`).join(', ')}`);
+    logger.info(`Check interval: ${config.checkIntervalSec}s${config.adaptivePolling ? ` (adaptive: ${config.fastCheckIntervalSec}s-${config.slowCheckIntervalSec}s)` : ''}`);
+    logger.info(`Scheduler: ${getSchedulerMode()}`);
+    if (!config.authEnabled) {
+      logger.warn('Authentication: DISABLED, every route is open (unset AUTH_ENABLED to require credentials)');
+    } else if (config.adminApiKeys.length === 0 && config.adminEmails.length === 0) {
+      logger.warn('Authentication: no ADMIN_API_KEYS or ADMIN_EMAILS configured, admin routes are unreachable');
+    } else {
+      logger.info(`Authentication: ${config.adminApiKeys.length} API key(s), ${config.adminEmails.length} admin identity(ies)`);
+    }
+    if (config.maxRuntimeHours) {
+      logger.info(`Max runtime: ${config.maxRuntimeHours} hours`);
+    }
+    logger.info(`Park hours: ${config.parkHoursEnabled ? `enabled (±${config.parkHoursBufferMin}m buffer)` : 'disabled'}`);
+    if (config.bedtimeEnabled) {
+      logger.info(`Bedtime: ${config.bedtimeStart}:00 - ${config.bedtimeEnd}:00 ${config.bedtimeTimezone}`);
+    } else {
+      logger.info('Bedtime: disabled');
+    }
+
+    if (config.localScheduling && config.localSchedulingAutostart) {
+      startLocalScheduler();
+    }
+  });
+}
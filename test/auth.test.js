@@ -0,0 +1,200 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, startUpstream } from './helpers.js';
+
+const PARK_ID = 'park-test';
+const ADMIN_KEY = 'admin-key';
+const METRICS_KEY = 'metrics-key';
+const TOKEN = 'device-a';
+
+describe('authentication', () => {
+  let upstream;
+  let app;
+  let deviceSecret;
+
+  /**
+   * fetch against the app with a JSON body and headers; returns { status, headers, body }
+   */
+  async function request(method, path, { headers = {}, body } = {}) {
+    const res = await fetch(`${app.url}${path}`, {
+      method,
+      headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text.startsWith('{') ? JSON.parse(text) : text };
+  }
+
+  const admin = { authorization: `Bearer ${ADMIN_KEY}` };
+  const device = () => ({ 'x-device-secret': deviceSecret });
+
+  before(async () => {
+    upstream = await startUpstream({
+      [PARK_ID]: { name: 'Magic Kingdom', rides: [{ id: 'space', name: 'Space Mountain', status: 'OPERATING' }] },
+    });
+    // AUTH_ENABLED is left unset: authentication is on by default
+    app = await startApp({
+      PARK_IDS: PARK_ID,
+      THEMEPARKS_API_URL: upstream.url,
+      ADMIN_API_KEYS: ADMIN_KEY,
+      METRICS_API_KEYS: METRICS_KEY,
+      LOG_LEVEL: 'info', // Audit entries are logged at info
+    });
+  });
+
+  after(async () => {
+    await app?.stop();
+    await upstream?.close();
+  });
+
+  test('admin routes reject requests without credentials', async () => {
+    for (const [method, path] of [['GET', '/devices'], ['GET', '/check'], ['POST', '/check'], ['GET', '/config']]) {
+      const res = await request(method, path);
+      assert.equal(res.status, 401, `${method} ${path}`);
+      assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+    }
+    assert.equal((await request('GET', '/devices', { headers: { authorization: 'Bearer wrong-key' } })).status, 401);
+  });
+
+  test('a metrics key opens /metrics and nothing else', async () => {
+    const metrics = { authorization: `Bearer ${METRICS_KEY}` };
+    assert.equal((await request('GET', '/metrics', { headers: metrics })).status, 200);
+
+    const res = await request('GET', '/devices', { headers: metrics });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, 'Requires role: admin');
+  });
+
+  test('an admin key opens admin routes as a bearer token or X-API-Key', async () => {
+    assert.equal((await request('GET', '/devices', { headers: admin })).status, 200);
+    assert.equal((await request('GET', '/devices', { headers: { 'x-api-key': ADMIN_KEY } })).status, 200);
+    assert.equal((await request('GET', '/check', { headers: admin })).status, 200, app.output());
+  });
+
+  test('public routes answer without credentials', async () => {
+    assert.equal((await request('GET', '/health')).status, 200);
+    assert.equal((await request('GET', '/parks')).status, 200);
+    assert.equal((await request('GET', '/rides/space/history')).status, 200);
+  });
+
+  test('registering a device issues a secret', async () => {
+    const res = await request('POST', '/devices', { body: { token: TOKEN } });
+    assert.equal(res.status, 200);
+    assert.equal(typeof res.body.deviceSecret, 'string');
+    deviceSecret = res.body.deviceSecret;
+  });
+
+  test('re-registering an active device requires its current secret', async () => {
+    assert.equal((await request('POST', '/devices', { body: { token: TOKEN } })).status, 401);
+    assert.equal((await request('POST', '/devices', { body: { token: TOKEN }, headers: { 'x-device-secret': 'wrong' } })).status, 403);
+
+    const res = await request('POST', '/devices', { body: { token: TOKEN }, headers: device() });
+    assert.equal(res.status, 200);
+    assert.notEqual(res.body.deviceSecret, deviceSecret);
+
+    // The old secret stops working once a new one is issued
+    const previous = deviceSecret;
+    deviceSecret = res.body.deviceSecret;
+    assert.equal((await request('GET', `/devices/${TOKEN}/subscriptions`, { headers: { 'x-device-secret': previous } })).status, 403);
+  });
+
+  test('device routes accept the device secret or an admin, nobody else', async () => {
+    const path = `/devices/${TOKEN}/subscriptions`;
+    assert.equal((await request('GET', path)).status, 401);
+    assert.equal((await request('GET', path, { headers: { 'x-device-secret': 'wrong' } })).status, 403);
+    assert.equal((await request('GET', path, { headers: { authorization: `Bearer ${METRICS_KEY}` } })).status, 403);
+    assert.equal((await request('GET', path, { headers: device() })).status, 200);
+    assert.equal((await request('GET', path, { headers: admin })).status, 200);
+  });
+
+  test('/stream needs a device or admin credential', async () => {
+    const open = async (path, headers = {}) => {
+      const controller = new AbortController();
+      const res = await fetch(`${app.url}${path}`, { headers, signal: controller.signal });
+      controller.abort();
+      return res.status;
+    };
+    assert.equal(await open('/stream'), 401);
+    assert.equal(await open(`/stream?token=${TOKEN}&secret=wrong`), 403);
+    assert.equal(await open(`/stream?token=${TOKEN}&secret=${deviceSecret}`), 200);
+    assert.equal(await open(`/stream?token=${TOKEN}`, device()), 200);
+    assert.equal(await open('/stream', admin), 200);
+  });
+
+  test('subscriptions add, remove, and reset to every change', async () => {
+    const path = `/devices/${TOKEN}/subscriptions`;
+    const get = async () => (await request('GET', path, { headers: device() })).body.subscriptions;
+
+    assert.deepEqual(await get(), { all: true, rides: [], parks: [] });
+
+    let res = await request('POST', path, { headers: device(), body: { rides: ['space'] } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.subscriptions, { all: false, rides: ['space'], parks: [] });
+
+    // Removing the last subscription leaves the device subscribed to nothing
+    res = await request('DELETE', path, { headers: device(), body: { rides: ['space'] } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await get(), { all: false, rides: [], parks: [] });
+
+    res = await request('POST', path, { headers: device(), body: { all: true } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await get(), { all: true, rides: [], parks: [] });
+  });
+
+  test('subscription bodies are validated', async () => {
+    const path = `/devices/${TOKEN}/subscriptions`;
+    for (const [method, body] of [
+      ['POST', {}],
+      ['POST', { rides: 'space' }],
+      ['POST', { all: true, rides: ['space'] }],
+      ['POST', { all: false }],
+      ['DELETE', { all: true }],
+    ]) {
+      const res = await request(method, path, { headers: device(), body });
+      assert.equal(res.status, 400, `${method} ${JSON.stringify(body)}`);
+    }
+  });
+
+  test('wait thresholds are validated and stored', async () => {
+    const path = `/devices/${TOKEN}/thresholds/space`;
+    for (const body of [{}, { below: -5 }, { above: 12.5 }, { below: '20' }]) {
+      const res = await request('PUT', path, { headers: device(), body });
+      assert.equal(res.status, 400, JSON.stringify(body));
+    }
+
+    const res = await request('PUT', path, { headers: device(), body: { below: 20 } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.thresholds, { space: { below: 20 } });
+    assert.equal((await request('PUT', path, { body: { below: 20 } })).status, 401);
+  });
+
+  test('/config updates are admin-only and validated', async () => {
+    assert.equal((await request('PUT', '/config/schedule', { headers: device(), body: { checkIntervalSec: 60 } })).status, 401);
+
+    for (const [path, body] of [
+      ['/config/schedule', { checkIntervalSec: 5 }],
+      ['/config/schedule', { bedtime: { start: 24 } }],
+      ['/config/schedule', { bedtime: { timezone: 'Mars/Olympus_Mons' } }],
+      ['/config/schedule', {}],
+      ['/config/rides', { watchedRides: 'Space Mountain' }],
+      ['/config/parks', { parkIds: 'park-test' }],
+      ['/config/parks', { parkIds: ['unknown-park'] }],
+    ]) {
+      const res = await request('PUT', path, { headers: admin, body });
+      assert.equal(res.status, 400, `${path} ${JSON.stringify(body)}`);
+    }
+
+    const res = await request('PUT', '/config/schedule', { headers: admin, body: { checkIntervalSec: 60 } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.checkIntervalSec, 60);
+  });
+
+  test('device secrets and tokens stay out of the audit log', () => {
+    const audit = app.output().split('\n').filter(line => line.includes('[audit]'));
+    assert.ok(audit.length > 0);
+    for (const line of audit) {
+      assert.ok(!line.includes(deviceSecret), line);
+      assert.ok(!line.includes(`/devices/${TOKEN}/`), line);
+    }
+  });
+});
@@ -0,0 +1,107 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { startApp, startSmtpServer, startUpstream, startWebhookReceiver } from './helpers.js';
+
+const PARK_ID = 'park-test';
+const WEBHOOK_SECRET = 'test-secret';
+
+describe('notification channels', () => {
+  let upstream;
+  let webhook;
+  let smtp;
+  let app;
+
+  before(async () => {
+    upstream = await startUpstream({
+      [PARK_ID]: {
+        name: 'Magic Kingdom',
+        rides: [
+          { id: 'space', name: 'Space Mountain', status: 'OPERATING' },
+          { id: 'dumbo', name: 'Dumbo', status: 'OPERATING' },
+        ],
+      },
+    });
+    webhook = await startWebhookReceiver();
+    smtp = await startSmtpServer();
+
+    app = await startApp({
+      PARK_IDS: PARK_ID,
+      AUTH_ENABLED: 'false',
+      THEMEPARKS_API_URL: upstream.url,
+      NOTIFICATION_CHANNELS: JSON.stringify([
+        { type: 'webhook', name: 'hook', url: webhook.url, secret: WEBHOOK_SECRET, retry: { attempts: 1 } },
+        {
+          type: 'email',
+          name: 'mail',
+          smtp: { host: '127.0.0.1', port: smtp.port, secure: false, ignoreTLS: true },
+          from: 'ride-watch@example.com',
+          to: 'family@example.com',
+          retry: { attempts: 1 },
+        },
+      ]),
+    });
+
+    // The first check only learns the current statuses
+    const res = await fetch(`${app.url}/check`);
+    assert.equal(res.status, 200);
+  });
+
+  after(async () => {
+    await app?.stop();
+    await Promise.all([upstream?.close(), webhook?.close(), smtp?.close()]);
+  });
+
+  test('sends status changes to every channel', async () => {
+    upstream.parks[PARK_ID].rides[0].status = 'DOWN';
+
+    const res = await fetch(`${app.url}/check`);
+    const result = await res.json();
+    assert.equal(res.status, 200, app.output());
+    assert.equal(result.statusChanges, 1);
+    assert.deepEqual(result.notifications.hook, { sent: 1, failed: 0 });
+    assert.deepEqual(result.notifications.mail, { sent: 1, failed: 0 });
+  });
+
+  test('webhook posts signed JSON with the changes and rendered notifications', () => {
+    assert.equal(webhook.requests.length, 1);
+    const [request] = webhook.requests;
+    assert.equal(request.method, 'POST');
+    assert.match(request.headers['content-type'], /application\/json/);
+
+    const timestamp = request.headers['x-ride-watch-timestamp'];
+    const expected = createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+    assert.equal(request.headers['x-ride-watch-signature'], `sha256=${expected}`);
+
+    const payload = JSON.parse(request.body);
+    assert.equal(payload.type, 'ride_watch.alerts');
+    assert.equal(payload.timestamp, timestamp);
+    assert.equal(payload.statusChanges.length, 1);
+    assert.equal(payload.statusChanges[0].rideName, 'Space Mountain');
+    assert.equal(payload.statusChanges[0].oldStatus, 'OPERATING');
+    assert.equal(payload.statusChanges[0].newStatus, 'DOWN');
+    assert.equal(payload.notifications.length, 1);
+    assert.match(payload.notifications[0].body, /Space Mountain/);
+  });
+
+  test('email sends one message with the rendered notification', () => {
+    assert.equal(smtp.messages.length, 1);
+    const [message] = smtp.messages;
+    assert.match(message.from, /ride-watch@example\.com/);
+    assert.deepEqual(message.to.map(to => to.replace(/[<>]/g, '')), ['family@example.com']);
+    assert.match(message.text, /Space Mountain \(Magic Kingdom\): OPERATING → DOWN/);
+  });
+
+  test('a failing webhook is reported without blocking other channels', async () => {
+    webhook.status = 500;
+    upstream.parks[PARK_ID].rides[0].status = 'OPERATING';
+
+    const res = await fetch(`${app.url}/check`);
+    const result = await res.json();
+    assert.equal(res.status, 200, app.output());
+    assert.equal(result.notifications.hook.sent, 0);
+    assert.equal(result.notifications.hook.failed, 1);
+    assert.deepEqual(result.notifications.mail, { sent: 1, failed: 0 });
+    assert.equal(smtp.messages.length, 2);
+  });
+});
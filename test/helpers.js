@@ -0,0 +1,214 @@
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import http from 'node:http';
+import net from 'node:net';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const ENTRY = new URL('../index.js', import.meta.url).pathname;
+
+// Keep the child away from GCP, real parks and whatever .env the developer has loaded
+const BASE_ENV = {
+  PATH: process.env.PATH,
+  STORAGE_BACKEND: 'memory',
+  PARK_HOURS_ENABLED: 'false',
+  BEDTIME_ENABLED: 'false',
+  LOG_LEVEL: 'error',
+  LOG_FORMAT: 'text',
+};
+
+async function listen(server) {
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return server.address().port;
+}
+
+async function freePort() {
+  const server = net.createServer();
+  const port = await listen(server);
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Stand-in for the ThemeParks Wiki API serving /entity/:parkId/live from parks[parkId]
+ * Set response to { status, headers } to fail every request instead.
+ */
+export async function startUpstream(parks) {
+  const upstream = { parks, response: null };
+  const server = http.createServer((req, res) => {
+    if (upstream.response) {
+      res.writeHead(upstream.response.status, upstream.response.headers);
+      return res.end('upstream error');
+    }
+    const [, parkId] = req.url.match(/^\/v1\/entity\/([^/]+)\/live$/) || [];
+    const park = parkId && upstream.parks[parkId];
+    if (!park) {
+      res.writeHead(404);
+      return res.end('not found');
+    }
+    const lastUpdated = new Date().toISOString();
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({
+      id: parkId,
+      name: park.name,
+      liveData: park.rides.map(ride => ({ entityType: 'ATTRACTION', lastUpdated, ...ride })),
+    }));
+  });
+  const port = await listen(server);
+  upstream.url = `http://127.0.0.1:${port}/v1`;
+  upstream.close = () => new Promise(resolve => server.close(resolve));
+  return upstream;
+}
+
+/**
+ * HTTP server that records every request body, answering 200 (or receiver.status)
+ */
+export async function startWebhookReceiver() {
+  const receiver = { requests: [], status: 200 };
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    receiver.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    res.writeHead(receiver.status);
+    res.end();
+  });
+  const port = await listen(server);
+  receiver.url = `http://127.0.0.1:${port}/hook`;
+  receiver.close = () => new Promise(resolve => server.close(resolve));
+  return receiver;
+}
+
+function decodeBody(data) {
+  const split = data.indexOf('\r\n\r\n');
+  const body = data.slice(split + 4);
+  if (!/content-transfer-encoding: quoted-printable/i.test(data.slice(0, split))) return body;
+
+  const bytes = body
+    .replace(/=\r\n/g, '')
+    .replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(bytes, 'latin1').toString('utf8');
+}
+
+/**
+ * Just enough SMTP to accept plain-text mail: records { from, to, data, text } per message,
+ * where text is the decoded body
+ */
+export async function startSmtpServer() {
+  const smtp = { messages: [] };
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let message = { from: null, to: [], data: null };
+    let inData = false;
+
+    socket.setEncoding('utf8');
+    socket.write('220 localhost ESMTP test\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          message.data = buffer.slice(0, end);
+          message.text = decodeBody(message.data);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          smtp.messages.push(message);
+          message = { from: null, to: [], data: null };
+          socket.write('250 OK queued\r\n');
+          continue;
+        }
+
+        const end = buffer.indexOf('\r\n');
+        if (end === -1) return;
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 localhost\r\n');
+        else if (command === 'MAIL') { message.from = line.slice(10).trim(); socket.write('250 OK\r\n'); }
+        else if (command === 'RCPT') { message.to.push(line.slice(8).trim()); socket.write('250 OK\r\n'); }
+        else if (command === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (command === 'QUIT') { socket.end('221 Bye\r\n'); return; }
+        else if (command === 'RSET' || command === 'NOOP') socket.write('250 OK\r\n');
+        else socket.write('502 Command not implemented\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  const port = await listen(server);
+  smtp.port = port;
+  smtp.close = () => new Promise(resolve => server.close(resolve));
+  return smtp;
+}
+
+/**
+ * Start the service as a child process and wait until /health answers
+ * Returns { url, stop, output() }
+ */
+export async function startApp(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [ENTRY], {
+    env: { ...BASE_ENV, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 15000;
+  while (true) {
+    if (child.exitCode !== null) throw new Error(`Service exited with code ${child.exitCode}:\n${output}`);
+    try {
+      const res = await fetch(`${url}/health`);
+      if (res.ok) break;
+    } catch {
+      // Not listening yet
+    }
+    if (Date.now() > deadline) {
+      child.kill();
+      throw new Error(`Service did not start:\n${output}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  return {
+    url,
+    output: () => output,
+    stop: async () => {
+      if (child.exitCode !== null) return;
+      child.kill();
+      await once(child, 'exit');
+    },
+  };
+}
+
+/**
+ * Run `node index.js replay` on a recording in test/fixtures with the given devices
+ * Returns the replay report
+ */
+export async function replay(fixture, devices = [], env = {}) {
+  const dir = await mkdtemp(join(tmpdir(), 'ride-watch-replay-'));
+  try {
+    const devicesFile = join(dir, 'devices.json');
+    const out = join(dir, 'report.json');
+    await writeFile(devicesFile, JSON.stringify(devices));
+
+    const recording = new URL(`./fixtures/${fixture}`, import.meta.url).pathname;
+    const child = spawn(process.execPath, [ENTRY, 'replay', recording, '--devices', devicesFile, '--out', out], {
+      env: { ...BASE_ENV, ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const [code] = await once(child, 'exit');
+    if (code !== 0) throw new Error(`Replay exited with code ${code}:\n${output}`);
+
+    return JSON.parse(await readFile(out, 'utf8'));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,230 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { replay } from './helpers.js';
+
+// Fixtures are recordings of a made-up Hollywood Studios day (park time is UTC-4)
+
+/**
+ * The parts of each push worth asserting on, in order
+ */
+function summarize(pushes) {
+  return pushes.map(({ at, token, title, body, data }) => ({ at, token, type: data.type, title, body }));
+}
+
+describe('flap confirmation', () => {
+  test('without confirmation every change is sent', async () => {
+    const report = await replay('flap.jsonl', [{ token: 'device-a', locale: 'en' }]);
+
+    assert.deepEqual(report.transitions.map(({ timestamp, newStatus }) => [timestamp, newStatus]), [
+      ['2026-06-05T14:01:00.000Z', 'DOWN'],
+      ['2026-06-05T14:02:00.000Z', 'OPERATING'],
+      ['2026-06-05T14:04:00.000Z', 'DOWN'],
+      ['2026-06-05T14:07:00.000Z', 'OPERATING'],
+    ]);
+    assert.equal(report.pushes.length, 4);
+  });
+
+  test('a one-check blip becomes a brief outage and the real outage dates from its first sighting', async () => {
+    const report = await replay('flap.jsonl', [{ token: 'device-a', locale: 'en' }], { DOWN_CONFIRM_CHECKS: '2' });
+
+    assert.deepEqual(report.transitions.map(({ timestamp, newStatus }) => [timestamp, newStatus]), [
+      ['2026-06-05T14:04:00.000Z', 'DOWN'],
+      ['2026-06-05T14:07:00.000Z', 'OPERATING'],
+    ]);
+    assert.deepEqual(summarize(report.pushes), [
+      {
+        at: '2026-06-05T14:02:00.000Z',
+        token: 'device-a',
+        type: 'brief_outage',
+        title: 'Brief Outage',
+        body: 'Tower of Terror: briefly DOWN (1m)',
+      },
+      {
+        at: '2026-06-05T14:05:00.000Z',
+        token: 'device-a',
+        type: 'status_change',
+        title: 'Ride Down ⚠️',
+        body: 'Tower of Terror (Hollywood Studios): OPERATING → DOWN',
+      },
+      {
+        at: '2026-06-05T14:07:00.000Z',
+        token: 'device-a',
+        type: 'status_change',
+        title: 'Ride Back Up! 🎉',
+        body: 'Tower of Terror (Hollywood Studios): DOWN → OPERATING after 3m',
+      },
+    ]);
+    assert.equal(report.channelNotifications.length, 3);
+  });
+});
+
+describe('subscriptions', () => {
+  test('devices that never subscribed get every change, an emptied list gets none', async () => {
+    const report = await replay('flap.jsonl', [
+      { token: 'every', locale: 'en' },
+      { token: 'tower', locale: 'en', subscriptions: { rides: ['tot'], parks: [] } },
+      { token: 'railway', locale: 'en', subscriptions: { rides: ['mmrr'], parks: [] } },
+      { token: 'emptied', locale: 'en', subscriptions: { rides: [], parks: [] } },
+    ]);
+
+    const counts = {};
+    for (const { token } of report.pushes) counts[token] = (counts[token] || 0) + 1;
+    assert.deepEqual(counts, { every: 4, tower: 4 });
+  });
+});
+
+describe('quiet hours', () => {
+  const subscriptions = {
+    locale: 'en',
+    waitThresholds: { rotr: { below: 20 } },
+    returnTimeSubscriptions: { rotr: { queues: ['RETURN_TIME'], earlierThan: null } },
+    boardingGroups: { rotr: { group: null, within: 10, notified: [] } },
+  };
+  const devices = [
+    { token: 'sleepy', ...subscriptions, preferences: { quietHours: { start: '10:00', end: '10:05', timezone: 'America/New_York' } } },
+    { token: 'awake', ...subscriptions },
+  ];
+
+  test('devices outside quiet hours get every alert as it happens', async () => {
+    const report = await replay('quiet-hours.jsonl', devices);
+    const awake = report.pushes.filter(push => push.token === 'awake');
+
+    assert.deepEqual(awake.map(push => push.data.type), [
+      'wait_time',
+      'return_time',
+      'boarding_allocation',
+      'status_change',
+      'status_change',
+      'boarding_allocation',
+      'status_change',
+      'return_time',
+    ]);
+  });
+
+  test('held changes and alerts that still hold arrive as one summary after quiet hours', async () => {
+    const report = await replay('quiet-hours.jsonl', devices);
+    const sleepy = report.pushes.filter(push => push.token === 'sleepy');
+
+    // Rise of the Resistance went down and came back, so only its alerts are left
+    assert.deepEqual(summarize(sleepy), [{
+      at: '2026-06-05T14:06:00.000Z',
+      token: 'sleepy',
+      type: 'quiet_hours_summary',
+      title: 'Quiet Hours Summary',
+      body: [
+        '• Tower of Terror: OPERATING → DOWN',
+        '• Rise of the Resistance standby dropped below 20 minutes (now 10 min)',
+        '• Lightning Lane for Rise of the Resistance: AVAILABLE → TEMP_FULL',
+        '• The virtual queue for Rise of the Resistance is paused',
+      ].join('\n'),
+    }]);
+  });
+});
+
+describe('show alerts', () => {
+  test('reminds once, then reports delays and cancellations', async () => {
+    const report = await replay('shows.jsonl', [
+      { token: 'fan', locale: 'en', showSubscriptions: { fantasmic: { reminderMin: 15 } } },
+      { token: 'bystander', locale: 'en' },
+    ]);
+
+    assert.deepEqual(summarize(report.pushes), [
+      {
+        at: '2026-06-06T00:46:00.000Z',
+        token: 'fan',
+        type: 'show_reminder',
+        title: 'Showtime Soon 🎆',
+        body: 'Fantasmic! (Hollywood Studios) starts at 9:00 PM, in 14 min',
+      },
+      {
+        at: '2026-06-06T00:55:00.000Z',
+        token: 'fan',
+        type: 'show_delayed',
+        title: 'Showtime Delayed',
+        body: 'Fantasmic! (Hollywood Studios) moved from 9:00 PM to 9:20 PM',
+      },
+      {
+        at: '2026-06-06T01:10:00.000Z',
+        token: 'fan',
+        type: 'show_cancelled',
+        title: 'Showtime Cancelled',
+        body: 'Fantasmic! (Hollywood Studios) at 10:30 PM is no longer scheduled',
+      },
+      {
+        at: '2026-06-06T01:10:00.000Z',
+        token: 'fan',
+        type: 'show_reminder',
+        title: 'Showtime Soon 🎆',
+        body: 'Fantasmic! (Hollywood Studios) starts at 9:20 PM, in 10 min',
+      },
+    ]);
+    assert.equal(report.channelNotifications.length, 0);
+  });
+
+  test('alerts during quiet hours arrive in the catch-up summary', async () => {
+    const report = await replay('shows.jsonl', [{
+      token: 'sleepy',
+      locale: 'en',
+      showSubscriptions: { fantasmic: { reminderMin: 15 } },
+      preferences: { quietHours: { start: '20:45', end: '21:00', timezone: 'America/New_York' } },
+    }]);
+
+    // The delay replaces the reminder for the same showtime
+    assert.deepEqual(report.pushes.map(({ at, data, body }) => [at, data.type, body]), [
+      ['2026-06-06T01:10:00.000Z', 'quiet_hours_summary', '• Fantasmic! (Hollywood Studios) moved from 9:00 PM to 9:20 PM'],
+      ['2026-06-06T01:10:00.000Z', 'show_cancelled', 'Fantasmic! (Hollywood Studios) at 10:30 PM is no longer scheduled'],
+      ['2026-06-06T01:10:00.000Z', 'show_reminder', 'Fantasmic! (Hollywood Studios) starts at 9:20 PM, in 10 min'],
+    ]);
+  });
+});
+
+describe('return-time alerts', () => {
+  test('state changes go to every subscriber, earlier times only past the threshold', async () => {
+    const report = await replay('return-times.jsonl', [
+      { token: 'any', locale: 'en', returnTimeSubscriptions: { sdd: { queues: ['RETURN_TIME'], earlierThan: null } } },
+      { token: 'early', locale: 'en', returnTimeSubscriptions: { sdd: { queues: ['RETURN_TIME'], earlierThan: '14:00' } } },
+    ]);
+
+    assert.deepEqual(report.pushes.map(({ at, token, body }) => [at, token, body]), [
+      ['2026-06-05T16:05:00.000Z', 'any', 'Lightning Lane for Slinky Dog Dash is AVAILABLE again, return 4:30 PM'],
+      ['2026-06-05T16:05:00.000Z', 'early', 'Lightning Lane for Slinky Dog Dash is AVAILABLE again, return 4:30 PM'],
+      ['2026-06-05T16:15:00.000Z', 'early', 'Lightning Lane for Slinky Dog Dash moved earlier than 2:00 PM, return 1:30 PM'],
+      ['2026-06-05T16:20:00.000Z', 'any', 'Lightning Lane for Slinky Dog Dash: AVAILABLE → FINISHED'],
+      ['2026-06-05T16:20:00.000Z', 'early', 'Lightning Lane for Slinky Dog Dash: AVAILABLE → FINISHED'],
+    ]);
+    assert.ok(report.pushes.every(push => push.data.type === 'return_time'));
+    assert.equal(report.channelNotifications.length, 0);
+  });
+});
+
+describe('adaptive polling', () => {
+  test('polls faster while a ride is down and slower once things are stable', async () => {
+    const report = await replay('adaptive.jsonl');
+
+    assert.deepEqual(report.schedule.map(({ at, delaySeconds, reason }) => [at, delaySeconds, reason]), [
+      ['2026-06-05T15:00:00.000Z', 30, 'normal interval'],
+      ['2026-06-05T15:01:00.000Z', 15, 'Tower of Terror is down'],
+      ['2026-06-05T15:02:00.000Z', 15, 'Tower of Terror is down'],
+      ['2026-06-05T15:03:00.000Z', 30, 'normal interval'],
+      ['2026-06-05T15:20:00.000Z', 30, 'normal interval'],
+      ['2026-06-05T15:34:00.000Z', 120, 'no changes for 31m'],
+    ]);
+  });
+
+  test('uses the configured intervals', async () => {
+    const report = await replay('adaptive.jsonl', [], {
+      CHECK_INTERVAL_SEC: '60',
+      FAST_CHECK_INTERVAL_SEC: '20',
+      SLOW_CHECK_INTERVAL_SEC: '300',
+      STABLE_AFTER_MIN: '10',
+    });
+
+    assert.deepEqual(report.schedule.map(({ delaySeconds }) => delaySeconds), [60, 20, 20, 60, 300, 300]);
+  });
+
+  test('sticks to the check interval when disabled', async () => {
+    const report = await replay('adaptive.jsonl', [], { ADAPTIVE_POLLING: 'false' });
+
+    assert.deepEqual(report.schedule.map(({ delaySeconds }) => delaySeconds), [30, 30, 30, 30, 30, 30]);
+  });
+});